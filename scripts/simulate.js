@@ -0,0 +1,82 @@
+/**
+ * Run a headless MOBA match in Node — no browser, DOM or renderer.
+ * Both heroes are AI-driven; the match is stepped tick by tick until a
+ * team wins or the time limit is reached, then a summary is printed.
+ *
+ * Usage: npm run simulate -- [--hero tank|warhound] [--minutes 10] [--seed n] [--verbose]
+ */
+import { MatchSimulation } from '../src/MatchSimulation.js';
+
+function parseArgs(argv) {
+  const args = { hero: 'tank', minutes: 10, seed: undefined, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--hero') args.hero = argv[++i];
+    else if (arg === '--minutes') args.minutes = Number(argv[++i]);
+    else if (arg === '--seed') args.seed = Number(argv[++i]);
+    else if (arg === '--verbose') args.verbose = true;
+  }
+  return args;
+}
+
+function formatTime(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const report = (line) => process.stdout.write(line + '\n');
+
+// Game modules log liberally; keep the report readable unless asked
+if (!args.verbose) console.log = () => {};
+
+const sim = new MatchSimulation({
+  headless: true,
+  heroType: args.hero,
+  blueAI: true,
+  seed: args.seed,
+});
+const describe = (unit) => {
+  if (!unit) return 'unknown';
+  if (sim.isHero(unit)) return `${unit === sim.vehicle ? 'blue' : 'red'} hero`;
+  if (unit.isCore) return `${unit.team} core`;
+  return `${unit.team} ${unit.isMinion ? 'minion' : 'tower'}`;
+};
+sim.addObserver({
+  onKill: ({ victim, killer, assists }) => {
+    const assisted = assists.length ? ` (assist: ${assists.map(describe).join(', ')})` : '';
+    report(`[${formatTime(sim.elapsed)}] ${describe(victim)} destroyed by ${describe(killer)}${assisted}`);
+  },
+  onGameOver: (winner, reason) => report(`[${formatTime(sim.elapsed)}] ${winner} wins (${reason === 'core' ? 'core destroyed' : 'control point'})`),
+});
+
+await sim.init();
+
+// Yield to the event loop each simulated second so async work (wave spawning) can settle
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+const maxTime = args.minutes * 60;
+let steps = 0;
+while (!sim.gameOver && sim.elapsed < maxTime) {
+  sim.step();
+  if (++steps % sim.tickRate === 0) await nextTick();
+}
+
+const cp = sim.controlPoint;
+report('--- Match summary ---');
+report(`Seed:         ${sim.seed}`);
+report(`Duration:     ${formatTime(sim.elapsed)}`);
+report(`Winner:       ${sim.winner || 'none (time limit)'}`);
+report(`Score:        blue ${Math.floor(cp.blueScore)} — red ${Math.floor(cp.redScore)}`);
+report(`Hero levels:  blue ${sim.heroWrapper.abilitySystem.level} — red ${sim.enemyHeroWrapper.abilitySystem.level}`);
+report(`Hero gold:    blue ${Math.floor(sim.economy.getGold(sim.vehicle))} — red ${Math.floor(sim.economy.getGold(sim.enemyVehicle))}`);
+const itemCount = hero => hero.inventory.slots.filter(Boolean).length;
+report(`Hero items:   blue ${itemCount(sim.vehicle)} — red ${itemCount(sim.enemyVehicle)}`);
+report(`Towers alive: blue ${sim.towers.blue.filter(t => t.alive).length} — red ${sim.towers.red.filter(t => t.alive).length}`);
+report(`Core health:  blue ${Math.ceil(sim.cores.blue.health)} — red ${Math.ceil(sim.cores.red.health)}`);
+report(`Minion waves: ${sim.minionWave.waveCount} (${sim.minionWave.spawned} spawned, ${sim.minionWave.created} allocated)`);
+const pool = sim.projectilePool;
+report(`Projectiles:  ${pool.fired} fired, ${pool.created} allocated`);
+
+process.exit(0);
@@ -1,10 +1,11 @@
 import * as THREE from 'three';
+import { SeededRandom } from './SeededRandom.js';
 
 /**
  * Ability system for MOBA heroes.
  * Each ability has:
  * - Cooldown timer
- * - Mana cost (optional)
+ * - Energy cost (optional, `manaCost`) paid from hero.energy
  * - Level requirement
  * - Execute function
  * - Visual effect
@@ -15,6 +16,9 @@ export class AbilitySystem {
     this.scene = scene;
     this.world = world;
 
+    // Random rolls (barrage spread etc.) — replaced by the match RNG externally
+    this.rng = new SeededRandom();
+
     // Ability slots
     this.abilities = {
       q: null,
@@ -32,6 +36,26 @@ export class AbilitySystem {
 
     // Active effects to update each frame
     this.activeEffects = [];
+
+    // Match EntityRegistry, for units area effects reach (set externally)
+    this.registry = null;
+  }
+
+  /**
+   * Enemy units the hero's abilities can hit right now (shielded structures
+   * excluded).
+   */
+  getEnemies() {
+    if (!this.registry) return [];
+    return this.registry.query({ enemyOf: this.hero.team, targetable: true });
+  }
+
+  /**
+   * Allied minions, for buffs that reach friendly units.
+   */
+  getAllies() {
+    if (!this.registry) return [];
+    return this.registry.query({ team: this.hero.team, kind: 'minion' });
   }
 
   /**
@@ -66,17 +90,16 @@ export class AbilitySystem {
    * @returns {string|boolean} - 'needs_target' if targeting needed, true if cast, false if failed
    */
   castAbility(slot, target, groundPos) {
+    if (!this.canCast(slot)) return false;
     const ability = this.abilities[slot];
-    if (!ability) return false;
-    if (ability.level <= 0) return false;
-    if (ability.currentCooldown > 0) return false;
-    if (!this.hero.isAlive()) return false;
 
     // Check if ability needs a target
     if ((ability.type === 'targeted' || ability.type === 'ground_target' || ability.type === 'skillshot') && !target && !groundPos) {
       return 'needs_target';
     }
 
+    this.hero.energy -= ability.manaCost;
+
     // Execute ability
     if (ability.execute) {
       ability.execute(this.hero, target, groundPos, ability.level, this);
@@ -89,6 +112,21 @@ export class AbilitySystem {
     return true;
   }
 
+  /**
+   * Whether an ability is learned, off cooldown and affordable right now.
+   * @param {string} slot - 'q', 'w', 'e', 'r'
+   * @param {number} [reserve=0] - energy that must be left over after paying
+   */
+  canCast(slot, reserve = 0) {
+    const ability = this.abilities[slot];
+    if (!ability) return false;
+    if (ability.level <= 0) return false;
+    if (ability.currentCooldown > 0) return false;
+    if (!this.hero.isAlive()) return false;
+    if (!this.hero.status.canCast()) return false;
+    return this.hero.energy >= ability.manaCost + reserve;
+  }
+
   /**
    * Level up an ability.
    */
@@ -123,14 +161,9 @@ export class AbilitySystem {
   onLevelUp() {
     console.log(`Hero leveled up to ${this.level}! Skill points: ${this.skillPoints}`);
 
-    // Increase hero stats per level
-    if (this.hero.maxHealth) {
-      this.hero.maxHealth += 15;
-      this.hero.health = Math.min(this.hero.health + 15, this.hero.maxHealth);
-    }
-    if (this.hero.moveSpeed) {
-      this.hero.moveSpeed += 0.2;
-    }
+    // Increase hero stats per level (adding max health also heals by the same)
+    this.hero.stats.add({ stat: 'maxHealth', flat: 15, source: 'level' });
+    this.hero.stats.add({ stat: 'moveSpeed', flat: 0.2, source: 'level' });
   }
 
   /**
@@ -239,6 +272,106 @@ export class AbilitySystem {
     return effect;
   }
 
+  /**
+   * Put a status effect on allied or enemy units within `radius` of the hero.
+   *
+   * Without a `duration` this is a pulse: units in range when it is cast get
+   * the status once. With a `duration` (Infinity for passives) it is an aura
+   * that follows the hero and keeps re-applying a short status to units
+   * inside, so it lapses `linger` seconds after a unit leaves or the hero
+   * dies. Affected units carry a ring of `color` while the status lasts.
+   *
+   * @param {Object} options
+   * @param {string} options.side - 'ally' (getAllies()) or 'enemy' (getEnemies())
+   * @param {number} options.radius
+   * @param {string} options.status - key of STATUS_TYPES
+   * @param {Object} options.statusOptions - passed to StatusEffects.apply
+   *   (pulses need a `duration` here)
+   * @param {number} options.color - marker ring color
+   * @param {Function} [options.filter] - unit => boolean, e.g. minions only
+   * @param {number} [options.duration] - aura lifetime; omit for a pulse
+   * @param {number} [options.linger=0.25] - aura status duration per refresh
+   * @returns {Object} the active effect
+   */
+  applyAreaEffect(options) {
+    const { side, radius, status, statusOptions, color, filter = null, linger = 0.25 } = options;
+    const isAura = options.duration !== undefined;
+
+    const markerGeo = new THREE.RingGeometry(1.2, 1.6, 24);
+    const markerMat = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.7,
+      side: THREE.DoubleSide,
+    });
+    const markers = new Map(); // unit -> { mesh, effect }
+
+    const applyInRange = () => {
+      const center = this.hero.getPosition();
+      const units = side === 'ally' ? this.getAllies() : this.getEnemies();
+      for (const unit of units) {
+        if (!unit.status || !unit.isAlive()) continue;
+        if (filter && !filter(unit)) continue;
+        if (center.distanceTo(unit.getPosition()) > radius) continue;
+
+        const applied = unit.status.apply(status, {
+          ...statusOptions,
+          ...(isAura ? { duration: linger } : {}),
+          source: this.hero,
+        });
+        if (applied) this.markUnit(markers, unit, applied, markerGeo, markerMat);
+      }
+    };
+
+    const clearMarkers = () => {
+      for (const { mesh } of markers.values()) this.scene.remove(mesh);
+      markers.clear();
+    };
+
+    if (!isAura) applyInRange();
+
+    const effect = {
+      mesh: null,
+      age: 0,
+      duration: isAura ? options.duration : statusOptions.duration,
+      update: () => {
+        if (isAura && this.hero.isAlive()) applyInRange();
+
+        // Markers follow their unit until its status instance is gone
+        for (const [unit, marker] of markers) {
+          if (!unit.isAlive() || unit.status.effects.get(marker.effect.key) !== marker.effect) {
+            this.scene.remove(marker.mesh);
+            markers.delete(unit);
+            continue;
+          }
+          const pos = unit.getPosition();
+          marker.mesh.position.set(pos.x, pos.y + 0.15, pos.z);
+        }
+      },
+      onEnd: () => {
+        clearMarkers();
+        markerGeo.dispose();
+        markerMat.dispose();
+      },
+      dispose: clearMarkers,
+    };
+
+    this.activeEffects.push(effect);
+    return effect;
+  }
+
+  markUnit(markers, unit, statusEffect, geometry, material) {
+    const existing = markers.get(unit);
+    if (existing) {
+      existing.effect = statusEffect;
+      return;
+    }
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.rotation.x = -Math.PI / 2;
+    this.scene.add(mesh);
+    markers.set(unit, { mesh, effect: statusEffect });
+  }
+
   /**
    * Apply a temporary buff to the hero.
    */
@@ -275,7 +408,20 @@ export class AbilitySystem {
       maxCooldown: ability.cooldownPerLevel ? ability.cooldownPerLevel[Math.max(0, ability.level - 1)] : ability.cooldown,
       canLevelUp: this.skillPoints > 0 && ability.level < ability.maxLevel &&
                   (slot !== 'r' || this.level >= 6),
+      manaCost: ability.manaCost,
+      canAfford: this.hero.energy >= ability.manaCost,
       canCast: ability.level > 0 && ability.currentCooldown <= 0,
     };
   }
+
+  /**
+   * Remove every active effect's visuals without running its onEnd.
+   */
+  dispose() {
+    for (const effect of this.activeEffects) {
+      if (effect.mesh) this.scene.remove(effect.mesh);
+      if (effect.dispose) effect.dispose();
+    }
+    this.activeEffects.length = 0;
+  }
 }
@@ -0,0 +1,60 @@
+/**
+ * Rapier collision groups by kind of body and team.
+ *
+ * A group value is (membership << 16) | filter; two colliders interact
+ * only when each one's membership overlaps the other's filter. Map
+ * geometry keeps Rapier's default (member of and colliding with
+ * everything), so it answers to the ENVIRONMENT bit.
+ *
+ *   hero       — environment, every hero and structure, enemy projectiles
+ *   minion     — environment, structures, enemy projectiles (walks through
+ *                heroes and other minions)
+ *   structure  — heroes, minions, enemy projectiles
+ *   projectile — environment and enemy heroes, minions and structures,
+ *                so allied shots pass through friends
+ *
+ * Projectiles also use their groups to filter hit queries, so a shot only
+ * ever reports terrain and enemies.
+ */
+export const GROUP = {
+  ENVIRONMENT: 0x0001,
+  HERO: { blue: 0x0002, red: 0x0004 },
+  MINION: { blue: 0x0008, red: 0x0010 },
+  STRUCTURE: { blue: 0x0020, red: 0x0040 },
+  PROJECTILE: { blue: 0x0080, red: 0x0100 },
+};
+
+const ANY_HERO = GROUP.HERO.blue | GROUP.HERO.red;
+const ANY_MINION = GROUP.MINION.blue | GROUP.MINION.red;
+const ANY_STRUCTURE = GROUP.STRUCTURE.blue | GROUP.STRUCTURE.red;
+
+// kind -> (team, enemy) => [membership, filter]
+const RULES = {
+  hero: (team, enemy) => [
+    GROUP.HERO[team],
+    GROUP.ENVIRONMENT | ANY_HERO | ANY_STRUCTURE | GROUP.PROJECTILE[enemy],
+  ],
+  minion: (team, enemy) => [
+    GROUP.MINION[team],
+    GROUP.ENVIRONMENT | ANY_STRUCTURE | GROUP.PROJECTILE[enemy],
+  ],
+  structure: (team, enemy) => [
+    GROUP.STRUCTURE[team],
+    ANY_HERO | ANY_MINION | GROUP.PROJECTILE[enemy],
+  ],
+  projectile: (team, enemy) => [
+    GROUP.PROJECTILE[team],
+    GROUP.ENVIRONMENT | GROUP.HERO[enemy] | GROUP.MINION[enemy] | GROUP.STRUCTURE[enemy],
+  ],
+};
+
+/**
+ * @param {string} kind - 'hero', 'minion', 'structure' or 'projectile'
+ * @param {string} team - 'blue' or 'red'
+ * @returns {number} Rapier InteractionGroups
+ */
+export function collisionGroups(kind, team) {
+  const enemy = team === 'blue' ? 'red' : 'blue';
+  const [membership, filter] = RULES[kind](team, enemy);
+  return ((membership << 16) | filter) >>> 0;
+}
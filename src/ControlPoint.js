@@ -35,6 +35,12 @@ export class ControlPoint {
     this.redScore = 0;
     this.scoreRate = 1.0; // points per second while controlling
 
+    // Heroes and minions on the point are looked up here (set externally)
+    this.registry = null;
+
+    // Game clock; the flag and ring animate on match time (set externally)
+    this.scheduler = null;
+
     // Visual
     this.beaconLight = null;
     this.captureRing = null;
@@ -115,14 +121,12 @@ export class ControlPoint {
   /**
    * Update capture state.
    * @param {number} delta - frame delta time
-   * @param {Array} blueUnits - blue team units near the point
-   * @param {Array} redUnits - red team units near the point
    * @returns {{ blueScore, redScore, winner }} current scores and winner if any
    */
-  update(delta, blueUnits, redUnits) {
+  update(delta) {
     // Count units in capture radius
-    const blueInRange = this.countUnitsInRange(blueUnits);
-    const redInRange = this.countUnitsInRange(redUnits);
+    const blueInRange = this.countUnitsInRange('blue');
+    const redInRange = this.countUnitsInRange('red');
 
     // Determine capture state
     const bluePresent = blueInRange > 0;
@@ -209,17 +213,16 @@ export class ControlPoint {
     };
   }
 
-  countUnitsInRange(units) {
-    let count = 0;
-    for (const unit of units) {
-      if (!unit.isAlive || !unit.isAlive()) continue;
-      const pos = unit.getPosition();
-      const dx = pos.x - this.position.x;
-      const dz = pos.z - this.position.z;
-      const dist = Math.sqrt(dx * dx + dz * dz);
-      if (dist <= this.captureRadius) count++;
-    }
-    return count;
+  /**
+   * Living heroes and minions of `team` within the capture radius.
+   */
+  countUnitsInRange(team) {
+    return this.registry.query({
+      team,
+      kind: ['hero', 'minion'],
+      near: this.position,
+      radius: this.captureRadius,
+    }).length;
   }
 
   updateVisuals(delta) {
@@ -260,13 +263,13 @@ export class ControlPoint {
 
     // Flag
     this.flag.rotation.y += delta * 1.5;
-    this.flag.position.y = 8 + Math.sin(Date.now() * 0.002) * 0.5;
+    this.flag.position.y = 8 + Math.sin(this.scheduler.time * 2) * 0.5;
     this.flagMaterial.color.lerp(targetColor, delta * 5);
     this.flagMaterial.emissive.lerp(targetColor, delta * 5);
 
     // Pulsing ring when captured
     if (this.controllingTeam) {
-      const pulse = 0.6 + Math.sin(Date.now() * 0.003) * 0.2;
+      const pulse = 0.6 + Math.sin(this.scheduler.time * 3) * 0.2;
       this.captureRingMaterial.emissiveIntensity = pulse;
     } else {
       this.captureRingMaterial.emissiveIntensity = 0.3 + this.captureProgress * 0.3;
@@ -276,4 +279,11 @@ export class ControlPoint {
     const ringScale = 1 + this.captureProgress * 0.05;
     this.captureRing.scale.set(ringScale, ringScale, 1);
   }
+
+  dispose() {
+    const objects = [this.captureRing, this.fillMesh, this.beaconColumn, this.beaconLight, this.flag];
+    for (const object of objects) {
+      if (object) this.scene.remove(object);
+    }
+  }
 }
@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+import { StatModifiers } from './StatModifiers.js';
+import { applyDamage, applyArmorProfile } from './Damage.js';
+import { DamageLedger } from './DamageLedger.js';
+import { StatusEffects } from './StatusEffects.js';
+import { collisionGroups } from './CollisionGroups.js';
+
+/**
+ * Base Core — the structure at the heart of each base. Destroying the
+ * enemy Core wins the match (the alternative to ControlPoint score).
+ *
+ * The Core is shielded and takes no damage until a lane is open: every
+ * tower in at least one of its team's lanes has fallen. `laneTowers` is set
+ * externally by the match. Its visual is the base crystal built by
+ * MOBAMap.createBase.
+ */
+export class Core {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {RAPIER.World} world
+   * @param {THREE.Vector3} position - base center
+   * @param {string} team - 'blue' or 'red'
+   * @param {THREE.Mesh} crystal - the base's nexus crystal
+   */
+  constructor(scene, world, position, team, crystal) {
+    this.scene = scene;
+    this.world = world;
+    this.team = team;
+    this.position = new THREE.Vector3(position.x, 0, position.z);
+    this.isCore = true;
+
+    // Stats
+    this.maxHealth = 500;
+    this.health = this.maxHealth;
+    this.damageTaken = 1; // incoming damage multiplier
+    applyArmorProfile(this, 'tower');
+    this.damageLedger = new DamageLedger(); // recent attackers, for kill/assist credit
+
+    // Buffs and debuffs modify stats through this stack (see StatModifiers)
+    this.stats = new StatModifiers(this);
+    this.status = new StatusEffects(this);
+
+    // lane -> towers guarding it; set externally
+    this.laneTowers = {};
+
+    // Shielded cores ignore every hit
+    this.damageHooks.before.push((event) => {
+      if (!this.isTargetable()) event.cancel();
+    });
+
+    // Visual
+    this.mesh = crystal;
+    this.shield = null;
+    this.alive = true;
+    this.colliderHandle = null;
+
+    // Death callback
+    this.onDeath = null;
+
+    this.createVisual();
+    this.createPhysics();
+  }
+
+  createVisual() {
+    const shieldGeo = new THREE.SphereGeometry(7, 16, 12);
+    const shieldMat = new THREE.MeshBasicMaterial({
+      color: this.team === 'blue' ? 0x66aaff : 0xff6666,
+      transparent: true,
+      opacity: 0.15,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    this.shield = new THREE.Mesh(shieldGeo, shieldMat);
+    this.shield.position.set(this.position.x, 6, this.position.z);
+    this.scene.add(this.shield);
+  }
+
+  createPhysics() {
+    const bodyDesc = RAPIER.RigidBodyDesc.fixed()
+      .setTranslation(this.position.x, 6, this.position.z);
+    const body = this.world.createRigidBody(bodyDesc);
+
+    const colliderDesc = RAPIER.ColliderDesc.cuboid(3, 6, 3)
+      .setCollisionGroups(collisionGroups('structure', this.team));
+    const collider = this.world.createCollider(colliderDesc, body);
+    this.colliderHandle = collider.handle;
+    this.body = body;
+  }
+
+  /**
+   * Whether a lane is open: all towers of some lane destroyed.
+   */
+  isExposed() {
+    return Object.values(this.laneTowers).some(towers => towers.every(t => !t.alive));
+  }
+
+  isTargetable() {
+    return this.alive && this.isExposed();
+  }
+
+  update(delta) {
+    if (!this.alive) return;
+    this.stats.update(delta);
+    this.status.update(delta);
+    this.damageLedger.update(delta);
+
+    this.shield.visible = !this.isExposed();
+  }
+
+  /**
+   * Take a hit through the damage pipeline (see Damage.js).
+   * @param {DamageEvent} event
+   */
+  takeDamage(event) {
+    if (!this.alive) return;
+    if (applyDamage(this, event).killed) {
+      this.alive = false;
+      this.status.clear();
+      this.destroy();
+      if (this.onDeath) this.onDeath(this, event.source);
+      this.damageLedger.clear();
+    }
+  }
+
+  isAlive() {
+    return this.alive;
+  }
+
+  getPosition() {
+    return this.position.clone();
+  }
+
+  getColliderHandle() {
+    return this.colliderHandle;
+  }
+
+  destroy() {
+    this.alive = false;
+    this.shield.visible = false;
+    // Crystal goes dark and drops
+    if (this.mesh && this.mesh.material) {
+      this.mesh.material.emissiveIntensity = 0.05;
+      this.mesh.material.opacity = 0.4;
+      this.mesh.scale.setScalar(0.6);
+    }
+  }
+
+  dispose() {
+    if (this.shield) {
+      this.scene.remove(this.shield);
+      this.shield.geometry.dispose();
+      this.shield.material.dispose();
+    }
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Damage events and the mitigation pipeline.
+ *
+ * Every hit is a DamageEvent carrying its source, type and tags. A unit's
+ * takeDamage() hands it to applyDamage(), which runs resolveDamage():
+ *
+ *   1. `before` hooks    — passives and buffs; may change amount/type or cancel
+ *   2. armor             — amount * 100 / (100 + armor), skipped for true damage
+ *   3. resistances       — amount * (1 - resistances[type]), skipped for true
+ *                          damage; a negative resistance is a weakness
+ *   4. damageTaken       — multiplier from StatModifiers (Shield Wall etc.)
+ *
+ * then subtracts health, records the hit in the unit's damage ledger and
+ * runs the `after` hooks with the final amount. Hooks are functions
+ * (event, unit) kept in unit.damageHooks.before/after. Death handling is
+ * left to the unit.
+ */
+
+export const DAMAGE_TYPES = ['kinetic', 'explosive', 'energy', 'true'];
+
+/**
+ * Armor and resistances per kind of unit. Heroes shrug off some of what
+ * they are built for; minions crumple to explosives (super minions are
+ * armored and don't); towers are armored but siege fire (explosive) is what
+ * brings them down.
+ */
+export const ARMOR_PROFILES = {
+  tank: { armor: 10, resistances: { kinetic: 0.1 } },
+  titan: { armor: 10, resistances: { energy: 0.1 } },
+  minion: { armor: 0, resistances: { explosive: -0.25 } },
+  super_minion: { armor: 15, resistances: {} },
+  tower: { armor: 20, resistances: { energy: 0.25, explosive: -0.25 } },
+};
+
+/**
+ * Give a unit the armor fields and empty hook lists the pipeline reads.
+ * @param {Object} unit
+ * @param {string} profile - key of ARMOR_PROFILES
+ */
+export function applyArmorProfile(unit, profile) {
+  const { armor, resistances } = ARMOR_PROFILES[profile];
+  unit.armor = armor;
+  unit.resistances = { ...resistances };
+  unit.damageHooks = { before: [], after: [] };
+}
+
+export class DamageEvent {
+  /**
+   * @param {number} amount
+   * @param {Object} [options]
+   * @param {Object} [options.source] - unit dealing the damage, credited with kills
+   * @param {string} [options.type='kinetic'] - one of DAMAGE_TYPES
+   * @param {string[]} [options.tags] - e.g. 'projectile', 'ability', 'aoe'
+   */
+  constructor(amount, { source = null, type = 'kinetic', tags = [] } = {}) {
+    this.raw = amount;      // before mitigation
+    this.amount = amount;   // after mitigation once resolved
+    this.source = source;
+    this.type = type;
+    this.tags = tags;
+    this.cancelled = false;
+    this.killed = false;    // set by applyDamage() once health is applied
+  }
+
+  hasTag(tag) {
+    return this.tags.includes(tag);
+  }
+
+  cancel() {
+    this.cancelled = true;
+    this.amount = 0;
+  }
+}
+
+/**
+ * Run stages 1-4 of the pipeline, leaving the final amount on `event.amount`.
+ * @returns {DamageEvent} the same event
+ */
+export function resolveDamage(unit, event) {
+  for (const hook of unit.damageHooks.before) {
+    hook(event, unit);
+    if (event.cancelled) return event;
+  }
+
+  let amount = event.amount;
+  if (event.type !== 'true') {
+    amount *= 100 / (100 + Math.max(0, unit.armor));
+    amount *= 1 - (unit.resistances[event.type] || 0);
+  }
+  amount *= unit.damageTaken;
+
+  event.amount = Math.max(0, amount);
+  return event;
+}
+
+/**
+ * Resolve a hit against a unit and apply it: health, damage ledger, then
+ * `after` hooks. Cancelled hits change nothing. The caller checks
+ * `event.killed` and handles its own death.
+ * @param {Object} unit - has health, damageLedger and the armor profile fields
+ * @param {DamageEvent} event
+ * @returns {DamageEvent} the same event
+ */
+export function applyDamage(unit, event) {
+  resolveDamage(unit, event);
+  if (event.cancelled) return event;
+
+  unit.health = Math.max(0, unit.health - event.amount);
+  event.killed = unit.health <= 0;
+  unit.damageLedger.record(event);
+  for (const hook of unit.damageHooks.after) hook(event, unit);
+  return event;
+}
@@ -0,0 +1,52 @@
+/**
+ * Recent damage taken by a unit, per source, for kill and assist credit.
+ *
+ * The owning unit records every resolved hit in takeDamage() and ticks
+ * update() from its own update(); sources that have not dealt damage for
+ * `window` seconds drop out. The ledger is cleared once the unit's death
+ * has been credited.
+ */
+export class DamageLedger {
+  constructor(window = 10) {
+    this.window = window;
+    this.entries = new Map(); // source unit -> { amount, age }
+  }
+
+  /**
+   * @param {DamageEvent} event - resolved event (amount after mitigation)
+   */
+  record(event) {
+    if (!event.source || event.amount <= 0) return;
+    const entry = this.entries.get(event.source);
+    if (entry) {
+      entry.amount += event.amount;
+      entry.age = 0;
+    } else {
+      this.entries.set(event.source, { amount: event.amount, age: 0 });
+    }
+  }
+
+  /**
+   * Everyone other than `killer` who damaged the unit within the window,
+   * most damage first.
+   * @param {Object} [killer]
+   * @returns {Object[]}
+   */
+  getAssists(killer = null) {
+    return [...this.entries]
+      .filter(([source]) => source !== killer)
+      .sort((a, b) => b[1].amount - a[1].amount)
+      .map(([source]) => source);
+  }
+
+  update(delta) {
+    for (const [source, entry] of this.entries) {
+      entry.age += delta;
+      if (entry.age > this.window) this.entries.delete(source);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
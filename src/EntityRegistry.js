@@ -0,0 +1,158 @@
+import { SpatialHash } from './SpatialHash.js';
+
+/**
+ * Every unit in the match — heroes, minions, towers and cores — with its
+ * kind, for systems that need "who is around" without being handed lists.
+ *
+ * The match adds units as it creates them and removes minions once their
+ * bodies are cleaned up; dead heroes and destroyed structures stay
+ * registered. Team and alive state are read live from the unit (`team`,
+ * isAlive()). Positions are snapshotted by update(), which the match calls
+ * once per tick right after physics, and bucketed in a SpatialHash so range
+ * queries only look at nearby units. Towers, AI, minions, controls, the
+ * control point and the minimap all look units up here, and projectiles
+ * resolve hits by collider handle.
+ *
+ * Distances are horizontal (XZ): everything fights on the ground plane.
+ */
+export class EntityRegistry {
+  constructor() {
+    this.entries = []; // { unit, kind, x, z, removed }
+    this.byUnit = new Map(); // unit -> entry
+    this.byCollider = new Map(); // collider handle -> unit
+    this.grid = new SpatialHash(10);
+  }
+
+  /**
+   * @param {Object} unit - needs `team`, isAlive(), getPosition() and getColliderHandle()
+   * @param {string} kind - 'hero', 'minion', 'tower' or 'core'
+   */
+  add(unit, kind) {
+    const pos = unit.getPosition();
+    const entry = { unit, kind, x: pos.x, z: pos.z, removed: false };
+    this.entries.push(entry);
+    this.byUnit.set(unit, entry);
+    this.byCollider.set(unit.getColliderHandle(), unit);
+    // Findable straight away, not only after the next update()
+    this.grid.insert(entry, entry.x, entry.z);
+  }
+
+  remove(unit) {
+    const entry = this.byUnit.get(unit);
+    if (!entry) return;
+    entry.removed = true; // the grid drops it on the next update()
+    this.entries = this.entries.filter(e => e !== entry);
+    this.byUnit.delete(unit);
+    this.byCollider.delete(unit.getColliderHandle());
+  }
+
+  getByCollider(handle) {
+    return this.byCollider.get(handle) || null;
+  }
+
+  /**
+   * Whether `unit` is registered as `kind` ('structure' for towers and cores).
+   */
+  isKind(unit, kind) {
+    const entry = this.byUnit.get(unit);
+    return !!entry && kindMatches(entry.kind, kind);
+  }
+
+  /**
+   * Snapshot every unit's position and rebuild the grid.
+   */
+  update() {
+    this.grid.clear();
+    for (const entry of this.entries) {
+      const pos = entry.unit.getPosition();
+      entry.x = pos.x;
+      entry.z = pos.z;
+      this.grid.insert(entry, entry.x, entry.z);
+    }
+  }
+
+  /**
+   * Units matching every given filter.
+   * @param {Object} [filter]
+   * @param {string} [filter.team] - only this team
+   * @param {string} [filter.enemyOf] - only teams other than this one
+   * @param {string|string[]} [filter.kind] - one kind or several; 'structure'
+   *   stands for towers and cores
+   * @param {boolean} [filter.targetable] - skip shielded structures
+   * @param {boolean} [filter.includeDead] - also return dead units
+   * @param {{x: number, z: number}} [filter.near] - with `radius`, only units within it
+   * @param {number} [filter.radius] - omitted or Infinity: no limit
+   * @returns {Object[]}
+   */
+  query(filter = {}) {
+    const result = [];
+    this.forEachMatch(filter, entry => result.push(entry.unit));
+    return result;
+  }
+
+  /**
+   * Closest unit to `position` matching `filter` (see query()), or null.
+   * With `filter.radius` only units within it count.
+   */
+  nearest(position, filter = {}) {
+    let best = null;
+    let bestDistSq = Infinity;
+    const near = filter.radius !== undefined ? { ...filter, near: position } : filter;
+    this.forEachMatch(near, entry => {
+      const d = distanceSq(position, entry);
+      if (d < bestDistSq) {
+        bestDistSq = d;
+        best = entry.unit;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Visit matching entries, through the grid when the filter has a finite
+   * range (an unbounded one would visit every cell forever).
+   */
+  forEachMatch(filter, callback) {
+    if (filter.near && Number.isFinite(filter.radius)) {
+      this.grid.forEachNear(filter.near.x, filter.near.z, filter.radius, entry => {
+        if (!entry.removed && this.matches(entry, filter)) callback(entry);
+      });
+      return;
+    }
+    for (const entry of this.entries) {
+      if (this.matches(entry, filter)) callback(entry);
+    }
+  }
+
+  matches(entry, filter) {
+    const { unit, kind } = entry;
+    if (filter.kind && !kindMatches(kind, filter.kind)) return false;
+    if (filter.team && unit.team !== filter.team) return false;
+    if (filter.enemyOf && unit.team === filter.enemyOf) return false;
+    if (!filter.includeDead && !unit.isAlive()) return false;
+    if (filter.targetable && unit.isTargetable && !unit.isTargetable()) return false;
+    if (filter.near && filter.radius !== undefined) {
+      if (distanceSq(filter.near, entry) > filter.radius * filter.radius) return false;
+    }
+    return true;
+  }
+
+  clear() {
+    this.entries = [];
+    this.byUnit.clear();
+    this.byCollider.clear();
+    this.grid.clear();
+  }
+}
+
+function kindMatches(kind, wanted) {
+  if (Array.isArray(wanted)) return wanted.some(w => kindMatches(kind, w));
+  if (wanted === 'structure') return kind === 'tower' || kind === 'core';
+  return kind === wanted;
+}
+
+function distanceSq(a, b) {
+  const dx = a.x - b.x;
+  const dz = a.z - b.z;
+  return dx * dx + dz * dz;
+}
@@ -0,0 +1,60 @@
+/**
+ * Per-hero gold balances.
+ *
+ * Heroes earn passive income every second plus rewards credited to the
+ * unit that landed the killing blow: minion last hits (minion.goldValue)
+ * and hero kill bounties, plus assist gold for heroes that damaged a
+ * killed hero recently (see MatchSimulation.getKillCredit). Destroying a tower pays the attacking team's
+ * hero wherever they are. Balances are keyed by hero vehicle, so paying a
+ * killer that isn't a registered hero (minion, tower) is a no-op.
+ */
+export class GoldEconomy {
+  constructor() {
+    this.startingGold = 500;
+    this.passiveIncome = 2;   // gold per second
+    this.towerGold = 150;     // paid to the destroying team's hero
+    this.heroBounty = 300;    // paid to the hero that lands the kill
+    this.assistGold = 100;    // paid to each other hero that damaged the victim
+
+    this.balances = new Map(); // hero vehicle -> gold
+  }
+
+  addHero(hero) {
+    this.balances.set(hero, this.startingGold);
+  }
+
+  isHero(unit) {
+    return this.balances.has(unit);
+  }
+
+  getGold(hero) {
+    return this.balances.get(hero) || 0;
+  }
+
+  /**
+   * Credit `amount` to `hero`.
+   * @returns {boolean} false when `hero` has no balance (minion, tower, null)
+   */
+  earn(hero, amount) {
+    if (!this.balances.has(hero)) return false;
+    this.balances.set(hero, this.balances.get(hero) + amount);
+    return true;
+  }
+
+  /**
+   * Deduct `amount` if `hero` can afford it.
+   * @returns {boolean} whether the gold was spent
+   */
+  spend(hero, amount) {
+    const gold = this.getGold(hero);
+    if (!this.balances.has(hero) || gold < amount) return false;
+    this.balances.set(hero, gold - amount);
+    return true;
+  }
+
+  update(delta) {
+    for (const [hero, gold] of this.balances) {
+      this.balances.set(hero, gold + this.passiveIncome * delta);
+    }
+  }
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { AbilitySystem } from './AbilitySystem.js';
 import { Projectile } from './Projectile.js';
+import { PROJECTILE_TYPES } from './ProjectileTypes.js';
 
 /**
  * Tank Hero — "Iron Bastion"
@@ -8,7 +9,7 @@ import { Projectile } from './Projectile.js';
  *
  * Passive: Heavy Armor — 10% damage reduction
  * Q: Shield Wall — Gain 50% damage reduction for 3 seconds (8s CD)
- * W: Siege Shot — Fire a massive shot dealing 25/35/45 damage (10s CD)
+ * W: Siege Shot — Fire a piercing shot dealing 25/35/45 damage to up to 3 enemies in a line (10s CD)
  * E: Fortify — Anchor in place, gain 30% attack speed for 5s (15s CD)
  * R: Artillery Barrage — Rain shells on an area for 3s dealing 15 dmg each (60s CD)
  */
@@ -22,14 +23,10 @@ export class HeroTank {
 
     // MOBA stats
     this.attackRange = 20;
-    this.baseFireRate = tank.fireRate;
-    this.baseMoveSpeed = tank.moveSpeed;
 
     // Buff state
     this.shieldWallActive = false;
-    this.shieldWallReduction = 0;
     this.fortifyActive = false;
-    this.originalFireRate = tank.fireRate;
 
     // Shield wall visual
     this.shieldBubble = null;
@@ -38,19 +35,10 @@ export class HeroTank {
     this.abilitySystem = new AbilitySystem(tank, scene, world);
     this.registerAbilities();
 
-    // Override tank's takeDamage for passive
-    const originalTakeDamage = tank.takeDamage.bind(tank);
-    tank.takeDamage = (amount) => {
-      // Passive: 10% damage reduction always
-      let reduced = amount * 0.9;
-
-      // Shield Wall: additional 50% reduction
-      if (this.shieldWallActive) {
-        reduced *= 0.5;
-      }
-
-      originalTakeDamage(reduced);
-    };
+    // Passive: Heavy Armor — 10% less damage from everything but true damage
+    tank.damageHooks.before.push((event) => {
+      if (event.type !== 'true') event.amount *= 0.9;
+    });
   }
 
   registerAbilities() {
@@ -60,6 +48,7 @@ export class HeroTank {
       description: 'Gain 50% damage reduction for 3 seconds',
       cooldown: 8,
       cooldownPerLevel: [8, 7, 6],
+      manaCost: 20,
       maxLevel: 3,
       levelRequired: 1,
       type: 'instant',
@@ -80,7 +69,16 @@ export class HeroTank {
         this.shieldBubble = new THREE.Mesh(bubbleGeo, bubbleMat);
         this.scene.add(this.shieldBubble);
 
+        // Additional 50% reduction on top of the passive
         const duration = 3;
+        hero.status.apply('buff', {
+          id: 'shield_wall',
+          name: 'Shield Wall',
+          icon: '⛨',
+          duration,
+          modifiers: [{ stat: 'damageTaken', mult: 0.5 }],
+        });
+
         system.applyBuff('shield_wall', duration,
           () => { this.shieldWallActive = true; },
           () => {
@@ -97,9 +95,10 @@ export class HeroTank {
     // W: Siege Shot
     this.abilitySystem.registerAbility('w', {
       name: 'Siege Shot',
-      description: 'Fire a massive shot dealing heavy damage',
+      description: 'Fire a piercing shot that hits up to 3 enemies in a line',
       cooldown: 10,
       cooldownPerLevel: [10, 9, 8],
+      manaCost: 30,
       maxLevel: 3,
       levelRequired: 1,
       type: 'instant',
@@ -119,18 +118,12 @@ export class HeroTank {
         const spawnPos = turretWorldPos.clone().add(direction.clone().multiplyScalar(barrelOffset));
         spawnPos.y += hero.modelSize.y * 0.05;
 
-        const projectile = new Projectile(
-          this.scene, this.world, spawnPos, direction.normalize(),
-          hero.targetManager, hero.damageTargets
+        // Slow, heavy round that punches through a line of enemies
+        const projectile = hero.projectilePool.acquire(
+          spawnPos, direction.normalize(), hero.team, 'siege_shot', hero.targetManager
         );
         projectile.damage = [25, 35, 45][level - 1];
-        projectile.speed = 35; // Slower but harder hitting
-
-        // Bigger visual
-        if (projectile.mesh) {
-          projectile.mesh.scale.setScalar(2.5);
-          projectile.mesh.material.color.setHex(0xff8800);
-        }
+        projectile.owner = hero;
 
         hero.projectiles.push(projectile);
       }
@@ -142,13 +135,19 @@ export class HeroTank {
       description: 'Anchor in place, gain 30% attack speed for 5 seconds',
       cooldown: 15,
       cooldownPerLevel: [15, 13, 11],
+      manaCost: 25,
       maxLevel: 3,
       levelRequired: 1,
       type: 'instant',
       execute: (hero, target, groundPos, level, system) => {
         const speedBoost = 0.3 + (level - 1) * 0.1; // 30/40/50%
-        const originalRate = this.originalFireRate;
-        hero.fireRate = originalRate * (1 - speedBoost);
+        hero.status.apply('buff', {
+          id: 'fortify',
+          name: 'Fortify',
+          icon: '⚙',
+          duration: 5,
+          modifiers: [{ stat: 'fireRate', mult: 1 - speedBoost }],
+        });
 
         // Visual anchor effect
         const anchorGeo = new THREE.RingGeometry(3, 4, 6);
@@ -174,7 +173,6 @@ export class HeroTank {
             anchorMat.opacity = 0.5 * (1 - system.activeEffects.find(e => e.mesh === anchorMesh).age / 5);
           },
           onEnd: () => {
-            hero.fireRate = originalRate;
             this.fortifyActive = false;
           }
         });
@@ -189,6 +187,7 @@ export class HeroTank {
       description: 'Rain shells on a target area for 3 seconds',
       cooldown: 60,
       cooldownPerLevel: [60, 50, 40],
+      manaCost: 50,
       maxLevel: 3,
       levelRequired: 6,
       type: 'ground_target',
@@ -218,26 +217,25 @@ export class HeroTank {
               shellTimer -= shellInterval;
 
               // Random position within barrage radius
-              const angle = Math.random() * Math.PI * 2;
-              const dist = Math.random() * barrageRadius;
+              const angle = system.rng.next() * Math.PI * 2;
+              const dist = system.rng.next() * barrageRadius;
               const shellX = barrageCenter.x + Math.cos(angle) * dist;
               const shellZ = barrageCenter.z + Math.sin(angle) * dist;
 
-              // Spawn shell from high above
-              const spawnPos = new THREE.Vector3(shellX, 40, shellZ);
-              const direction = new THREE.Vector3(0, -1, 0);
+              // Lob a shell from the tank onto that spot
+              const spawnPos = hero.getPosition();
+              spawnPos.y += hero.modelSize.y;
+              const shellType = PROJECTILE_TYPES.artillery_shell;
+              const landing = new THREE.Vector3(shellX, shellType.radius, shellZ);
+              const direction = Projectile.ballisticDirection(
+                spawnPos, landing, shellType.speed, -system.world.gravity.y
+              );
 
-              const shell = new Projectile(
-                system.scene, system.world, spawnPos, direction,
-                null, hero.damageTargets
+              const shell = hero.projectilePool.acquire(
+                spawnPos, direction, hero.team, 'artillery_shell'
               );
               shell.damage = shellDamage;
-              shell.speed = 60;
-
-              if (shell.mesh) {
-                shell.mesh.material.color.setHex(0xff6600);
-                shell.mesh.scale.setScalar(1.8);
-              }
+              shell.owner = hero;
 
               hero.projectiles.push(shell);
             }
@@ -254,11 +252,19 @@ export class HeroTank {
       const pos = this.tank.getPosition();
       this.shieldBubble.position.set(pos.x, pos.y + 3, pos.z);
       // Pulse effect
-      const scale = 1 + Math.sin(Date.now() * 0.005) * 0.05;
+      const scale = 1 + Math.sin(this.tank.scheduler.time * 5) * 0.05;
       this.shieldBubble.scale.setScalar(scale);
     }
 
     // Update ability system
     this.abilitySystem.update(delta);
   }
+
+  dispose() {
+    if (this.shieldBubble) {
+      this.scene.remove(this.shieldBubble);
+      this.shieldBubble = null;
+    }
+    this.abilitySystem.dispose();
+  }
 }
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { AbilitySystem } from './AbilitySystem.js';
+import { DamageEvent } from './Damage.js';
 
 /**
  * Titan Hero — "Warhound Titan"
@@ -21,20 +22,19 @@ export class HeroTitan {
 
     // MOBA stats
     this.attackRange = 18;
-    this.baseFireRate = warhound.fireRate;
-    this.baseMoveSpeed = warhound.moveSpeed;
 
     // Buff state
     this.rageActive = false;
     this.chargeActive = false;
 
-    // Passive: track nearby minions
+    // Passive: Towering Presence
     this.passiveRadius = 15;
-    this.affectedMinions = new Set();
+    this.passiveDamageReduction = 0.15;
 
     // Ability system
     this.abilitySystem = new AbilitySystem(warhound, scene, world);
     this.registerAbilities();
+    this.applyPassiveAura();
   }
 
   registerAbilities() {
@@ -44,6 +44,7 @@ export class HeroTitan {
       description: 'AOE slam dealing damage and slowing enemies',
       cooldown: 8,
       cooldownPerLevel: [8, 7, 6],
+      manaCost: 25,
       maxLevel: 3,
       levelRequired: 1,
       type: 'instant',
@@ -82,25 +83,14 @@ export class HeroTitan {
         });
 
         // Damage all enemies in radius
-        if (hero.damageTargets) {
-          for (const enemy of hero.damageTargets) {
-            if (!enemy.isAlive || !enemy.isAlive()) continue;
-            const enemyPos = enemy.getPosition();
-            const dist = heroPos.distanceTo(enemyPos);
-            if (dist <= stompRadius) {
-              enemy.takeDamage(damage);
-
-              // Slow effect: reduce move speed temporarily
-              if (enemy.moveSpeed !== undefined) {
-                const originalSpeed = enemy.moveSpeed;
-                enemy.moveSpeed *= 0.6; // 40% slow
-                setTimeout(() => {
-                  if (enemy.isAlive && enemy.isAlive()) {
-                    enemy.moveSpeed = originalSpeed;
-                  }
-                }, 2000);
-              }
-            }
+        for (const enemy of system.getEnemies()) {
+          const enemyPos = enemy.getPosition();
+          const dist = heroPos.distanceTo(enemyPos);
+          if (dist <= stompRadius) {
+            enemy.takeDamage(new DamageEvent(damage, { source: hero, tags: ['ability', 'aoe'] }));
+
+            // Slow effect: 40% for 2s
+            enemy.status.apply('slow', { amount: 0.4, duration: 2, source: hero });
           }
         }
       }
@@ -112,6 +102,7 @@ export class HeroTitan {
       description: 'Dash forward dealing damage to enemies hit',
       cooldown: 12,
       cooldownPerLevel: [12, 10, 8],
+      manaCost: 20,
       maxLevel: 3,
       levelRequired: 1,
       type: 'instant',
@@ -130,8 +121,8 @@ export class HeroTitan {
         hero.getForwardVector(forward);
         forward.setY(0).normalize();
 
-        const originalSpeed = hero.moveSpeed;
-        hero.moveSpeed = chargeSpeed;
+        // Scale whatever speed the hero has now (items, Rage) up to charge speed
+        const charge = hero.stats.add({ stat: 'moveSpeed', mult: chargeSpeed / hero.moveSpeed, source: 'charge' });
 
         // Track enemies already hit to avoid double-hitting
         const hitEnemies = new Set();
@@ -153,15 +144,13 @@ export class HeroTitan {
 
             // Check for enemy collisions during charge
             const heroPos = hero.getPosition();
-            if (hero.damageTargets) {
-              for (const enemy of hero.damageTargets) {
-                if (hitEnemies.has(enemy)) continue;
-                if (!enemy.isAlive || !enemy.isAlive()) continue;
-                const dist = heroPos.distanceTo(enemy.getPosition());
-                if (dist < 6) {
-                  enemy.takeDamage(damage);
-                  hitEnemies.add(enemy);
-                }
+            for (const enemy of system.getEnemies()) {
+              if (hitEnemies.has(enemy)) continue;
+              const dist = heroPos.distanceTo(enemy.getPosition());
+              if (dist < 6) {
+                enemy.takeDamage(new DamageEvent(damage, { source: hero, tags: ['ability'] }));
+                enemy.status.apply('knockback', { direction: forward, speed: 12, duration: 0.25, source: hero });
+                hitEnemies.add(enemy);
               }
             }
 
@@ -184,7 +173,7 @@ export class HeroTitan {
             });
           },
           onEnd: () => {
-            hero.moveSpeed = this.rageActive ? originalSpeed * 1.2 : originalSpeed;
+            hero.stats.remove(charge);
             hero.setMoveInput(0, 0);
             this.chargeActive = false;
           }
@@ -198,6 +187,7 @@ export class HeroTitan {
       description: 'Nearby allied minions gain 30% attack speed',
       cooldown: 15,
       cooldownPerLevel: [15, 13, 11],
+      manaCost: 20,
       maxLevel: 3,
       levelRequired: 1,
       type: 'instant',
@@ -210,14 +200,20 @@ export class HeroTitan {
         // Visual: expanding ring
         system.createAOEEffect(heroPos, buffRadius, 0x44ff44, 1.0);
 
-        // Buff effect — store reference to allied minions for buff application
-        // This will be applied by the game loop which has access to allied minions
-        this._warCryPending = {
-          center: heroPos.clone(),
+        system.applyAreaEffect({
+          side: 'ally',
           radius: buffRadius,
-          duration: buffDuration,
-          speedBoost: speedBoost,
-        };
+          filter: unit => unit.isMinion,
+          status: 'buff',
+          statusOptions: {
+            id: 'war_cry',
+            name: 'War Cry',
+            icon: '📣',
+            duration: buffDuration,
+            modifiers: [{ stat: 'fireRate', mult: 1 - speedBoost }],
+          },
+          color: 0x44ff44,
+        });
       }
     });
 
@@ -227,20 +223,27 @@ export class HeroTitan {
       description: 'Gain 50% attack speed and 20% move speed for 8 seconds',
       cooldown: 60,
       cooldownPerLevel: [60, 50, 40],
+      manaCost: 40,
       maxLevel: 3,
       levelRequired: 6,
       type: 'instant',
       execute: (hero, target, groundPos, level, system) => {
         this.rageActive = true;
 
-        const baseFireRate = this.baseFireRate;
-        const baseMoveSpeed = this.baseMoveSpeed;
         const atkBoost = 0.5 + (level - 1) * 0.1;  // 50/60/70% attack speed
         const moveBoost = 0.2 + (level - 1) * 0.05; // 20/25/30% move speed
         const duration = 8;
 
-        hero.fireRate = baseFireRate * (1 - atkBoost);
-        hero.moveSpeed = baseMoveSpeed * (1 + moveBoost);
+        hero.status.apply('buff', {
+          id: 'rage',
+          name: 'Titan Rage',
+          icon: '⚡',
+          duration,
+          modifiers: [
+            { stat: 'fireRate', mult: 1 - atkBoost },
+            { stat: 'moveSpeed', mult: 1 + moveBoost },
+          ],
+        });
 
         // Visual: red/orange aura
         const auraGeo = new THREE.SphereGeometry(8, 12, 12);
@@ -260,14 +263,12 @@ export class HeroTitan {
           update: (dt) => {
             const pos = hero.getPosition();
             aura.position.set(pos.x, pos.y + 4, pos.z);
-            const pulse = 1 + Math.sin(Date.now() * 0.008) * 0.1;
-            aura.scale.setScalar(pulse);
             const te = system.activeEffects.find(e => e.mesh === aura);
-            if (te) auraMat.opacity = 0.15 * (1 - te.age / duration * 0.5);
+            if (!te) return;
+            aura.scale.setScalar(1 + Math.sin(te.age * 8) * 0.1);
+            auraMat.opacity = 0.15 * (1 - te.age / duration * 0.5);
           },
           onEnd: () => {
-            hero.fireRate = baseFireRate;
-            hero.moveSpeed = baseMoveSpeed;
             this.rageActive = false;
           }
         });
@@ -276,48 +277,28 @@ export class HeroTitan {
   }
 
   /**
-   * Apply passive aura — reduce nearby enemy minion damage.
-   * Called by game loop with access to enemy minions.
+   * Towering Presence: a permanent aura weakening enemy minions near the Titan.
    */
-  applyPassiveAura(enemyMinions) {
-    const heroPos = this.warhound.getPosition();
-
-    for (const minion of enemyMinions) {
-      if (!minion.isAlive || !minion.isAlive()) continue;
-      const dist = heroPos.distanceTo(minion.getPosition());
-
-      if (dist <= this.passiveRadius) {
-        if (!this.affectedMinions.has(minion)) {
-          this.affectedMinions.add(minion);
-          // Apply damage debuff (track original damage)
-          if (!minion._originalDamage) {
-            minion._originalDamage = minion.damage || 2;
-          }
-          // Reduce to 85%
-          if (minion.projectiles !== undefined) {
-            // For infantry-type minions, we'll handle in their fire()
-          }
-        }
-      } else {
-        if (this.affectedMinions.has(minion)) {
-          this.affectedMinions.delete(minion);
-          // Restore original damage
-          // (handled by game loop)
-        }
-      }
-    }
-  }
-
-  /**
-   * Check and apply pending War Cry buff.
-   */
-  getWarCryPending() {
-    const pending = this._warCryPending;
-    this._warCryPending = null;
-    return pending;
+  applyPassiveAura() {
+    this.abilitySystem.applyAreaEffect({
+      side: 'enemy',
+      radius: this.passiveRadius,
+      filter: unit => unit.isMinion,
+      status: 'weaken',
+      statusOptions: {
+        name: 'Towering Presence',
+        modifiers: [{ stat: 'projectileDamage', mult: 1 - this.passiveDamageReduction }],
+      },
+      color: 0xaa66ff,
+      duration: Infinity,
+    });
   }
 
   update(delta) {
     this.abilitySystem.update(delta);
   }
+
+  dispose() {
+    this.abilitySystem.dispose();
+  }
 }
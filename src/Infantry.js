@@ -2,7 +2,11 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
 import RAPIER from '@dimforge/rapier3d-compat';
-import { Projectile } from './Projectile.js';
+import { StatModifiers } from './StatModifiers.js';
+import { DamageEvent, applyDamage, applyArmorProfile } from './Damage.js';
+import { DamageLedger } from './DamageLedger.js';
+import { StatusEffects } from './StatusEffects.js';
+import { collisionGroups } from './CollisionGroups.js';
 
 /**
  * Single infantry soldier.
@@ -17,6 +21,7 @@ export class Infantry {
   static _sourceModel = null;
   static _animations = {};    // { idle: AnimationClip, walk: AnimationClip, ... }
   static _loadPromise = null;
+  static _tintedMaterials = new Map(); // `${material uuid}:${tint}` -> tinted clone
 
   /**
    * Trim dead time from the end of an animation clip.
@@ -141,6 +146,21 @@ export class Infantry {
     return Infantry._loadPromise;
   }
 
+  /**
+   * Clone of a shared model material in another color, made once per
+   * material and tint so every minion of an archetype shares it.
+   */
+  static getTintedMaterial(material, tint) {
+    const key = `${material.uuid}:${tint}`;
+    let tinted = Infantry._tintedMaterials.get(key);
+    if (!tinted) {
+      tinted = material.clone();
+      tinted.color.setHex(tint);
+      Infantry._tintedMaterials.set(key, tinted);
+    }
+    return tinted;
+  }
+
   constructor(scene, world) {
     this.scene = scene;
     this.world = world;
@@ -171,9 +191,13 @@ export class Infantry {
     // Firing
     this.canFire = true;
     this.fireRate = 2.0;  // slower than vehicles
+    this.projectileDamage = 2; // much less than vehicle projectiles (10)
+    this.projectileType = 'rifle'; // PROJECTILE_TYPES key fired by fire()
     this.projectiles = [];
-    this.damageTargets = [];
     this.targetManager = null;
+    this.team = null; // 'blue' or 'red' — see setTeam()
+    this.scheduler = null; // game-clock timers (set externally)
+    this.projectilePool = null; // shots are drawn from the match's pool (set externally)
 
     // Lock-on (interface compliance)
     this.lockTarget = null;
@@ -183,9 +207,17 @@ export class Infantry {
     this.health = this.maxHealth;
     this.colliderHandle = null;
     this.onDeath = null;
+    this.damageTaken = 1; // incoming damage multiplier
+    applyArmorProfile(this, 'minion');
+    this.damageLedger = new DamageLedger(); // recent attackers, for kill/assist credit
 
-    // Scale: 1.83m tall human
+    // Buffs and debuffs modify stats through this stack (see StatModifiers)
+    this.stats = new StatModifiers(this);
+    this.status = new StatusEffects(this); // stuns, slows, timed buffs
+
+    // Scale: 1.83m tall human; set targetHeight and tint before load()
     this.targetHeight = 1.83;
+    this.tint = null; // material color, null keeps the model's own
     this.vehicleHeight = this.targetHeight;
     this.scaleFactor = 1;
 
@@ -206,7 +238,14 @@ export class Infantry {
   async load() {
     // Ensure shared assets loaded
     await Infantry.loadSharedAssets();
+    return this.createModel();
+  }
 
+  /**
+   * Clone the shared militia model and build the body, synchronously.
+   * Shared assets must already be loaded (see loadSharedAssets()).
+   */
+  createModel() {
     // Clone source model (proper SkinnedMesh clone with independent skeleton)
     this.model = SkeletonUtils.clone(Infantry._sourceModel);
 
@@ -221,6 +260,7 @@ export class Infantry {
       if (child.isMesh) {
         child.castShadow = true;
         child.receiveShadow = true;
+        if (this.tint !== null) child.material = Infantry.getTintedMaterial(child.material, this.tint);
       }
     });
 
@@ -255,6 +295,36 @@ export class Infantry {
     return this;
   }
 
+  /**
+   * Build a capsule stand-in instead of cloning the militia model.
+   * No mixer or actions — animation transitions become no-ops.
+   * Used by headless simulation, where the shared GLBs are never loaded.
+   */
+  loadPlaceholder() {
+    const size = new THREE.Vector3(0.6, this.targetHeight, 0.4);
+
+    this.model = new THREE.Mesh(
+      new THREE.CapsuleGeometry(0.3, size.y - 0.6, 2, 6),
+      new THREE.MeshStandardMaterial({ color: this.tint ?? 0x777766 })
+    );
+    this.model.position.y = size.y / 2;
+
+    this.vehicleHeight = size.y;
+    this.modelSize = size;
+    this.modelBox = new THREE.Box3(
+      new THREE.Vector3(-size.x / 2, 0, -size.z / 2),
+      new THREE.Vector3(size.x / 2, size.y, size.z / 2)
+    );
+
+    this.mesh = new THREE.Group();
+    this.mesh.add(this.model);
+    this.scene.add(this.mesh);
+
+    this.createPhysicsBody(size);
+
+    return this;
+  }
+
   createPhysicsBody(size) {
     // Use fixed human-appropriate radius (bbox width includes arms in bind pose,
     // giving ~0.6m+ radius which is way too fat and causes floating on slopes).
@@ -276,18 +346,11 @@ export class Infantry {
 
     this.body = this.world.createRigidBody(rigidBodyDesc);
 
-    // Collision groups: infantry only collides with terrain/rocks (fixed bodies).
-    // membership=0x0004 (infantry group), filter=0x0001 (only respond to group 1).
-    // Terrain/rocks use default membership (0xFFFF) which includes bit 0x0001 → collision.
-    // Vehicles use membership 0x0002 which excludes bit 0x0001 → no collision.
-    // Other infantry use membership 0x0004 which excludes bit 0x0001 → no collision.
-    // Damage detection uses intersectionsWithShape() which ignores collision groups.
-    const infantryGroups = (0x0004 << 16) | 0x0001;
-
+    // Collision groups are per team, set by setTeam(): infantry walk through
+    // heroes and each other, and only collide with terrain, rocks and structures
     const colliderDesc = RAPIER.ColliderDesc.capsule(capsuleHalfHeight, radius)
       .setMass(1)
-      .setFriction(0.5)
-      .setCollisionGroups(infantryGroups);
+      .setFriction(0.5);
     const collider = this.world.createCollider(colliderDesc, this.body);
     this.colliderHandle = collider.handle;
   }
@@ -322,6 +385,67 @@ export class Infantry {
     this.transitionCooldown = this.minTransitionTime;
   }
 
+  /**
+   * Stand the soldier at (x, z) facing `yaw`, at rest, with the mesh synced
+   * to the body straight away.
+   */
+  placeAt(x, z, yaw) {
+    const quat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw);
+    this.body.setTranslation({ x, y: 1, z }, true);
+    this.body.setRotation({ x: quat.x, y: quat.y, z: quat.z, w: quat.w }, true);
+    this.body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+    this.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+    this.mesh.position.set(x, 1 + this.meshOffsetY, z);
+    this.mesh.quaternion.copy(quat);
+  }
+
+  /**
+   * Take the soldier out of the world for reuse: shots in flight end, the
+   * mesh leaves the scene and the body stops simulating. reset() brings it
+   * back.
+   */
+  deactivate() {
+    for (const p of this.projectiles) {
+      if (p.alive) p.destroy();
+    }
+    this.projectiles.length = 0;
+    this.scene.remove(this.mesh);
+    this.body.setEnabled(false);
+  }
+
+  /**
+   * Back in the world at full health, idle, with no effects or attackers
+   * remembered — for a pooled soldier returning as a new minion.
+   */
+  reset() {
+    this.health = this.maxHealth;
+    this.canFire = true;
+    this.status.clear();
+    this.damageLedger.clear();
+    this.setMoveInput(0, 0);
+    this.isMoving = false;
+
+    this.transitionCooldown = 0;
+    this.currentState = 'idle';
+    if (this.mixer && this.actions.idle) {
+      this.mixer.stopAllAction();
+      this.currentAction = this.actions.idle.reset().setEffectiveWeight(1).play();
+    }
+
+    this.scene.add(this.mesh);
+    this.body.setEnabled(true);
+  }
+
+  /**
+   * Join a team: sets `team` and the collider's collision groups, so allied
+   * shots pass through this minion (see CollisionGroups.js).
+   * @param {string} team - 'blue' or 'red'
+   */
+  setTeam(team) {
+    this.team = team;
+    this.world.getCollider(this.colliderHandle).setCollisionGroups(collisionGroups('minion', team));
+  }
+
   setMoveInput(x, y) {
     this.moveInput.x = x;
     this.moveInput.y = y;
@@ -334,16 +458,16 @@ export class Infantry {
   }
 
   fire() {
-    if (!this.canFire || this.health <= 0) return;
+    if (!this.canFire || this.health <= 0 || !this.status.canAttack()) return;
     this.canFire = false;
 
     // Play shoot animation briefly
     this.transitionTo('shoot');
-    setTimeout(() => {
+    this.scheduler.after(0.5, () => {
       if (this.health > 0 && this.currentState === 'shoot') {
         this.transitionTo(this.isMoving ? 'walk' : 'idle');
       }
-    }, 500);
+    });
 
     // Spawn projectile from chest height
     const spawnPos = this.getPosition();
@@ -356,24 +480,50 @@ export class Infantry {
     // Small forward offset so projectile clears the model
     spawnPos.add(direction.clone().multiplyScalar(this.modelSize.z * 0.6));
 
-    const projectile = new Projectile(
-      this.scene, this.world, spawnPos, direction.normalize(),
-      this.targetManager, this.damageTargets
+    const projectile = this.projectilePool.acquire(
+      spawnPos, direction.normalize(), this.team, this.projectileType, this.targetManager
     );
-    projectile.damage = 2; // Much less than vehicle projectiles (10)
+    projectile.damage = this.projectileDamage;
+    projectile.owner = this;
     this.projectiles.push(projectile);
 
-    setTimeout(() => {
+    this.scheduler.after(this.fireRate, () => {
+      this.canFire = true;
+    });
+  }
+
+  /**
+   * Melee attack: hit `target` directly, no projectile.
+   * @param {Object} target - unit within reach
+   */
+  strike(target) {
+    if (!this.canFire || this.health <= 0 || !this.status.canAttack()) return;
+    this.canFire = false;
+
+    this.transitionTo('melee');
+    this.scheduler.after(0.6, () => {
+      if (this.health > 0 && this.currentState === 'melee') {
+        this.transitionTo(this.isMoving ? 'walk' : 'idle');
+      }
+    });
+
+    target.takeDamage(new DamageEvent(this.projectileDamage, { source: this, tags: ['melee'] }));
+
+    this.scheduler.after(this.fireRate, () => {
       this.canFire = true;
-    }, this.fireRate * 1000);
+    });
   }
 
   update(delta) {
+    this.stats.update(delta);
+    this.status.update(delta);
+    this.damageLedger.update(delta);
     if (!this.mesh || !this.body) return;
 
-    // Dead — only update animation mixer for death anim
+    // Dead — only the death animation and shots already in flight
     if (this.health <= 0) {
       if (this.mixer) this.mixer.update(delta);
+      this.updateProjectiles(delta);
       return;
     }
 
@@ -384,17 +534,23 @@ export class Infantry {
     const rot = this.body.rotation();
     const currentVel = this.body.linvel();
 
+    const canMove = this.status.canMove();
+
     // Rotation
-    if (Math.abs(this.moveInput.x) > 0.1) {
+    if (canMove && Math.abs(this.moveInput.x) > 0.1) {
       const turnRate = -this.moveInput.x * this.turnSpeed;
       this.body.setAngvel({ x: 0, y: turnRate, z: 0 }, true);
     } else {
       this.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
     }
 
-    // Movement
+    // Movement. Knockback overrides input; stun/root hold the soldier in place
     const speed = Math.abs(this.moveInput.y) > 0.7 ? this.runSpeed : this.moveSpeed;
-    if (Math.abs(this.moveInput.y) > 0.1) {
+    const knockback = this.status.getKnockback();
+    if (knockback) {
+      this.body.setLinvel({ x: knockback.velocity.x, y: currentVel.y, z: knockback.velocity.z }, true);
+      this.isMoving = false;
+    } else if (canMove && Math.abs(this.moveInput.y) > 0.1) {
       const forward = this._forwardWorld
         .copy(this._forwardLocal)
         .applyQuaternion(this.mesh.quaternion);
@@ -425,19 +581,27 @@ export class Infantry {
     // Update animation mixer
     if (this.mixer) this.mixer.update(delta);
 
-    // Update projectiles
+    this.updateProjectiles(delta);
+  }
+
+  updateProjectiles(delta) {
     this.projectiles = this.projectiles.filter(p => {
       p.update(delta);
       return p.alive;
     });
   }
 
-  takeDamage(amount) {
+  /**
+   * Take a hit through the damage pipeline (see Damage.js).
+   * @param {DamageEvent} event
+   */
+  takeDamage(event) {
     if (this.health <= 0) return;
-    this.health = Math.max(0, this.health - amount);
-    if (this.health <= 0) {
+    if (applyDamage(this, event).killed) {
+      this.status.clear();
       this.transitionTo('death');
-      if (this.onDeath) this.onDeath(this);
+      if (this.onDeath) this.onDeath(this, event.source);
+      this.damageLedger.clear();
     }
   }
 
@@ -463,6 +627,10 @@ export class Infantry {
   }
 
   dispose() {
+    for (const p of this.projectiles) {
+      if (p.alive) p.destroy();
+    }
+    this.projectiles.length = 0;
     if (this.mesh) this.scene.remove(this.mesh);
     if (this.body) this.world.removeRigidBody(this.body);
     if (this.mixer) this.mixer.stopAllAction();
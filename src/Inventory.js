@@ -0,0 +1,45 @@
+/**
+ * Six-slot hero inventory.
+ * Adding an item applies its stat modifiers to the owner's StatModifiers
+ * stack; each slot entry is the modifiers' source, so two copies of the
+ * same item stack and can be removed independently.
+ */
+export class Inventory {
+  constructor(owner, size = 6) {
+    this.owner = owner;
+    this.slots = new Array(size).fill(null); // { item } per occupied slot
+  }
+
+  isFull() {
+    return !this.slots.includes(null);
+  }
+
+  /**
+   * Put an item in the first free slot and apply its modifiers.
+   * @returns {boolean} false when every slot is taken
+   */
+  add(item) {
+    const index = this.slots.indexOf(null);
+    if (index < 0) return false;
+
+    const entry = { item };
+    this.slots[index] = entry;
+    for (const modifier of item.modifiers) {
+      this.owner.stats.add({ ...modifier, source: entry });
+    }
+    return true;
+  }
+
+  /**
+   * Empty a slot and remove its modifiers.
+   * @returns {Object|null} the removed item
+   */
+  remove(index) {
+    const entry = this.slots[index];
+    if (!entry) return null;
+
+    this.slots[index] = null;
+    this.owner.stats.removeBySource(entry);
+    return entry.item;
+  }
+}
@@ -65,23 +65,28 @@ export class MOBACamera {
     this._desiredTarget = new THREE.Vector3();
     this._cameraOffset = new THREE.Vector3();
 
+    // Aborting this removes every window listener added below
+    this._listeners = new AbortController();
+
     this.setupDesktopInputs();
     this.updateCameraPosition(0);
   }
 
   setupDesktopInputs() {
+    const { signal } = this._listeners;
+
     // Mouse wheel for zoom
     window.addEventListener('wheel', (e) => {
       e.preventDefault();
       this.targetZoom += e.deltaY * 0.05;
       this.targetZoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.targetZoom));
-    }, { passive: false });
+    }, { passive: false, signal });
 
     // Mouse position tracking for edge panning
     window.addEventListener('mousemove', (e) => {
       this.mouseX = e.clientX;
       this.mouseY = e.clientY;
-    });
+    }, { signal });
 
     // Spacebar to recenter on hero
     window.addEventListener('keydown', (e) => {
@@ -89,7 +94,7 @@ export class MOBACamera {
         this.isLockedToHero = true;
         this.panOffset.set(0, 0, 0);
       }
-    });
+    }, { signal });
 
     // Middle mouse drag for panning
     window.addEventListener('mousedown', (e) => {
@@ -101,7 +106,7 @@ export class MOBACamera {
         this.dragStartPan.copy(this.panOffset);
         this.isLockedToHero = false;
       }
-    });
+    }, { signal });
 
     window.addEventListener('mousemove', (e) => {
       if (this.isDragging) {
@@ -110,13 +115,13 @@ export class MOBACamera {
         this.panOffset.x = this.dragStartPan.x - dx;
         this.panOffset.z = this.dragStartPan.z - dy;
       }
-    });
+    }, { signal });
 
     window.addEventListener('mouseup', (e) => {
       if (e.button === 1) {
         this.isDragging = false;
       }
-    });
+    }, { signal });
   }
 
   /**
@@ -281,4 +286,8 @@ export class MOBACamera {
     raycaster.setFromCamera(ndc, this.camera);
     return raycaster;
   }
+
+  dispose() {
+    this._listeners.abort();
+  }
 }
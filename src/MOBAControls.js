@@ -25,6 +25,9 @@ export class MOBAControls {
     // Navigation system (set externally after construction)
     this.navSystem = null;
 
+    // Input is ignored while disabled (e.g. match paused)
+    this.enabled = true;
+
     // Movement target
     this.moveTarget = null;             // final {x, y, z} world position
     this.attackTarget = null;           // unit to attack-move toward
@@ -50,8 +53,8 @@ export class MOBAControls {
     this.abilityPending = null;         // 'q', 'w', 'e', 'r' — awaiting target selection
     this.abilityCallbacks = {};         // { q: fn, w: fn, e: fn, r: fn }
 
-    // Enemy units that can be clicked
-    this.enemyUnits = [];
+    // Match EntityRegistry; enemies of the hero in it can be clicked (set externally)
+    this.registry = null;
 
     // Raycaster
     this._raycaster = new THREE.Raycaster();
@@ -62,6 +65,9 @@ export class MOBAControls {
     // Keys held
     this._keys = {};
 
+    // Aborting this removes every DOM listener added in the setup methods
+    this._listeners = new AbortController();
+
     // Detect touch device
     this.isTouchDevice = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
 
@@ -70,10 +76,6 @@ export class MOBAControls {
     this.setupKeyboard();
   }
 
-  setEnemyUnits(units) {
-    this.enemyUnits = units;
-  }
-
   setAbilityCallback(key, callback) {
     this.abilityCallbacks[key] = callback;
   }
@@ -108,6 +110,8 @@ export class MOBAControls {
    * Try to pick an enemy unit at the given screen coordinates.
    */
   pickEnemy(screenX, screenY) {
+    if (!this.registry) return null;
+
     this._ndc.set(
       (screenX / window.innerWidth) * 2 - 1,
       -(screenY / window.innerHeight) * 2 + 1
@@ -115,8 +119,7 @@ export class MOBAControls {
     this._raycaster.setFromCamera(this._ndc, this.camera.camera);
 
     const hitCandidates = [];
-    for (const unit of this.enemyUnits) {
-      if (!unit.isAlive || !unit.isAlive()) continue;
+    for (const unit of this.registry.query({ enemyOf: this.hero.team, targetable: true })) {
       if (!unit.mesh) continue;
       unit.mesh.traverse((child) => {
         if (child.isMesh) {
@@ -137,13 +140,16 @@ export class MOBAControls {
 
   setupDesktopControls() {
     const canvas = this.renderer.domElement;
+    const { signal } = this._listeners;
 
     // Right-click to move / attack
     canvas.addEventListener('contextmenu', (e) => {
       e.preventDefault();
-    });
+    }, { signal });
 
     canvas.addEventListener('mousedown', (e) => {
+      if (!this.enabled) return;
+
       // Right click = move/attack
       if (e.button === 2) {
         this.handleRightClick(e.clientX, e.clientY);
@@ -152,12 +158,13 @@ export class MOBAControls {
       if (e.button === 0) {
         this.handleLeftClick(e.clientX, e.clientY);
       }
-    });
+    }, { signal });
   }
 
   setupMobileControls() {
     const canvas = this.renderer.domElement;
     const gameContainer = canvas.parentElement || canvas;
+    const { signal } = this._listeners;
 
     // ---- Touch state ----
     let touchStartTime = 0;
@@ -178,6 +185,8 @@ export class MOBAControls {
         if (el.id === 'ability-bar' || el.id === 'minimap' ||
             el.id === 'recenter-btn' || el.id === 'game-over-overlay' ||
             el.id === 'start-menu' || el.id === 'loading-overlay' ||
+            el.id === 'pause-overlay' || el.id === 'pause-controls' ||
+            el.id === 'shop-panel' ||
             el.classList.contains('ability-slot')) {
           return true;
         }
@@ -231,7 +240,7 @@ export class MOBAControls {
         this.camera.startPanPinch(center.x, center.y, dist);
         cameraPanActive = true;
       }
-    }, { passive: true });
+    }, { passive: true, signal });
 
     document.addEventListener('touchmove', (e) => {
       // Two-finger gesture → update camera pan/zoom
@@ -257,7 +266,7 @@ export class MOBAControls {
           }
         }
       }
-    }, { passive: true });
+    }, { passive: true, signal });
 
     document.addEventListener('touchend', (e) => {
       // End camera pan/zoom when fingers lift
@@ -284,14 +293,15 @@ export class MOBAControls {
 
       const elapsed = performance.now() - touchStartTime;
 
-      // Tap: quick single-finger touch without much movement
-      if (elapsed < 400 && !touchMoved) {
+      // Tap: quick single-finger touch without much movement. Camera
+      // gestures still work while disabled (paused); taps don't
+      if (this.enabled && elapsed < 400 && !touchMoved) {
         this.handleRightClick(touch.clientX, touch.clientY);
       }
 
       touchId = -1;
       touchStartedOnGame = false;
-    }, { passive: true });
+    }, { passive: true, signal });
 
     document.addEventListener('touchcancel', () => {
       if (cameraPanActive) {
@@ -301,16 +311,19 @@ export class MOBAControls {
       touchId = -1;
       wasTwoFingerGesture = false;
       touchStartedOnGame = false;
-    });
+    }, { signal });
 
     // Prevent touch-hold context menu
     gameContainer.addEventListener('contextmenu', (e) => {
       e.preventDefault();
-    });
+    }, { signal });
   }
 
   setupKeyboard() {
+    const { signal } = this._listeners;
+
     window.addEventListener('keydown', (e) => {
+      if (!this.enabled) return;
       this._keys[e.code] = true;
 
       // Ability keys
@@ -330,7 +343,7 @@ export class MOBAControls {
         this.attackTarget = null;
         this.hero.setMoveInput(0, 0);
       }
-    });
+    }, { signal });
 
     window.addEventListener('keyup', (e) => {
       this._keys[e.code] = false;
@@ -338,7 +351,7 @@ export class MOBAControls {
       if (e.code === 'KeyA') {
         this.isAttackMoveMode = false;
       }
-    });
+    }, { signal });
   }
 
   handleRightClick(screenX, screenY) {
@@ -422,6 +435,7 @@ export class MOBAControls {
   }
 
   triggerAbility(key) {
+    if (!this.enabled) return;
     if (this.abilityCallbacks[key]) {
       // For instant abilities, fire immediately
       // For targeted abilities, set pending
@@ -585,8 +599,9 @@ export class MOBAControls {
     while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
     while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
 
-    // Steering: proportional to angle difference
-    const steerX = Math.max(-1, Math.min(1, angleDiff * 2));
+    // Steering: proportional to angle difference.
+    // Positive steer input turns clockwise (negative yaw), i.e. reduces the heading angle.
+    const steerX = Math.max(-1, Math.min(1, -angleDiff * 2));
 
     // Forward: drive when roughly facing target
     let moveY = 0;
@@ -619,7 +634,7 @@ export class MOBAControls {
     while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
 
     // Turn body toward target
-    const steerX = Math.max(-1, Math.min(1, angleDiff * 2));
+    const steerX = Math.max(-1, Math.min(1, -angleDiff * 2));
     this.hero.setMoveInput(steerX, 0);
 
     // Also set turret toward target
@@ -644,6 +659,7 @@ export class MOBAControls {
   }
 
   dispose() {
+    this._listeners.abort();
     if (this.moveIndicator) {
       this.scene.remove(this.moveIndicator);
     }
@@ -9,19 +9,46 @@ import * as THREE from 'three';
  * - Retreat: fall back to base when low health
  * - Fight: engage player hero when nearby
  * - Abilities: use abilities when appropriate
+ * - Shopping: buy items whenever standing in the base shop
  *
  * State machine: idle → lane → contest → fight → retreat
  */
 export class MOBAHeroAI {
-  constructor(vehicle, heroWrapper, playerVehicle, mobaMap) {
+  /**
+   * @param {Object} vehicle - hero vehicle this AI drives
+   * @param {Object} heroWrapper - HeroTank / HeroTitan wrapping the vehicle
+   * @param {Object} playerVehicle - opposing hero
+   * @param {MOBAMap} mobaMap
+   * @param {string} [team='red'] - side this AI plays for ('blue' or 'red')
+   */
+  constructor(vehicle, heroWrapper, playerVehicle, mobaMap, team = 'red') {
     this.vehicle = vehicle;
     this.heroWrapper = heroWrapper;
     this.player = playerVehicle;
     this.mobaMap = mobaMap;
+    this.team = team;
 
     // Navigation system (set externally)
     this.navSystem = null;
 
+    // Match EntityRegistry, for enemies in range (set externally)
+    this.registry = null;
+
+    // Match gold balances (set externally) — see getGold()
+    this.economy = null;
+
+    // Base shop (set externally) — see tryShopping()
+    this.shop = null;
+    // Items to buy, in order of preference; repeats stack
+    this.shopPreferences = [
+      'tungsten_shells',
+      'armor_plating',
+      'reload_servos',
+      'hull_repair_kit',
+      'engine_upgrade',
+      'armor_plating',
+    ];
+
     // State
     this.state = 'idle';
     this.stateTimer = 0;
@@ -62,11 +89,18 @@ export class MOBAHeroAI {
     this.setLane('mid');
   }
 
+  /**
+   * Gold this AI's hero currently holds.
+   */
+  getGold() {
+    return this.economy ? this.economy.getGold(this.vehicle) : 0;
+  }
+
   setLane(lane) {
     this.currentLane = lane;
     const waypoints = this.mobaMap.laneWaypoints[lane];
-    // AI is red team — walk from red base toward center (reversed path)
-    this.lanePath = [...waypoints].reverse();
+    // Lane waypoints run blue base → red base; red walks them reversed
+    this.lanePath = this.team === 'red' ? [...waypoints].reverse() : [...waypoints];
     this.waypointIndex = 0;
     this.state = 'lane';
   }
@@ -115,6 +149,8 @@ export class MOBAHeroAI {
   }
 
   makeDecision(myPos, healthPercent) {
+    this.tryShopping();
+
     // Retreat if low health
     if (healthPercent < this.retreatHealthPercent) {
       if (this.state !== 'retreat') {
@@ -153,6 +189,18 @@ export class MOBAHeroAI {
     }
   }
 
+  /**
+   * Buy the next item on the preference list if we are in the shop and
+   * can afford it. Saves up rather than skipping ahead to cheaper items.
+   */
+  tryShopping() {
+    if (!this.shop || !this.shop.isInRange(this.vehicle, this.team)) return;
+
+    const owned = this.vehicle.inventory.slots.filter(Boolean).length;
+    const next = this.shopPreferences[owned];
+    if (next) this.shop.buy(this.vehicle, this.team, next);
+  }
+
   /**
    * Navigate to a position using the nav mesh if available.
    * Computes path and starts following it.
@@ -268,8 +316,8 @@ export class MOBAHeroAI {
   }
 
   doRetreat(delta, myPos) {
-    // Move toward red base
-    const base = this.mobaMap.redBasePos;
+    // Move toward own base
+    const base = this.team === 'red' ? this.mobaMap.redBasePos : this.mobaMap.blueBasePos;
     const dist = myPos.distanceTo(base);
 
     if (dist < 20) {
@@ -300,19 +348,13 @@ export class MOBAHeroAI {
   }
 
   checkForNearbyEnemies(myPos, delta) {
-    if (!this.vehicle.damageTargets) return;
-
-    let nearest = null;
-    let nearestDist = Infinity;
+    if (!this.registry) return;
 
-    for (const target of this.vehicle.damageTargets) {
-      if (!target.isAlive || !target.isAlive()) continue;
-      const d = myPos.distanceTo(target.getPosition());
-      if (d < this.attackRange && d < nearestDist) {
-        nearestDist = d;
-        nearest = target;
-      }
-    }
+    const nearest = this.registry.nearest(myPos, {
+      enemyOf: this.team,
+      targetable: true,
+      radius: this.attackRange,
+    });
 
     if (nearest) {
       this.aimAndFire(myPos, nearest.getPosition(), delta);
@@ -331,7 +373,8 @@ export class MOBAHeroAI {
     while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
     while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
 
-    const steerX = Math.max(-1, Math.min(1, angleDiff * 2.5));
+    // Positive steer input turns clockwise (negative yaw), i.e. reduces the heading angle
+    const steerX = Math.max(-1, Math.min(1, -angleDiff * 2.5));
 
     let moveY = 0;
     if (moveForward) {
@@ -385,22 +428,25 @@ export class MOBAHeroAI {
     const distToPlayer = this.player && this.player.isAlive() ?
       myPos.distanceTo(this.player.getPosition()) : 999;
 
-    if (distToPlayer < 15) {
+    if (distToPlayer < 15 && abilities.canCast('q')) {
       abilities.castAbility('q', null, null);
     }
 
     // Use W when chasing or in fight
-    if (this.state === 'fight' && distToPlayer < 20 && distToPlayer > 10) {
+    if (this.state === 'fight' && distToPlayer < 20 && distToPlayer > 10 && abilities.canCast('w')) {
       abilities.castAbility('w', null, null);
     }
 
-    // Use E periodically (buff minions / attack speed)
-    if (this.state === 'lane' || this.state === 'contest') {
+    // Use E periodically (buff minions / attack speed), keeping enough
+    // energy banked for the ultimate once it is learned
+    const ult = abilities.abilities.r;
+    const ultReserve = ult && ult.level > 0 ? ult.manaCost : 0;
+    if ((this.state === 'lane' || this.state === 'contest') && abilities.canCast('e', ultReserve)) {
       abilities.castAbility('e', null, null);
     }
 
     // Use R when fighting and health is moderate
-    if (this.state === 'fight' && healthPercent > 0.4 && healthPercent < 0.8) {
+    if (this.state === 'fight' && healthPercent > 0.4 && healthPercent < 0.8 && abilities.canCast('r')) {
       if (this.heroWrapper.heroType === 'titan') {
         abilities.castAbility('r', null, null);
       } else {
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
 import RAPIER from '@dimforge/rapier3d-compat';
+import { SeededRandom } from './SeededRandom.js';
 
 /**
  * MOBA-style map with:
@@ -16,13 +17,24 @@ import RAPIER from '@dimforge/rapier3d-compat';
  * Center arena:     (0, 0, 0) — radius ~40m
  */
 export class MOBAMap {
-  constructor(scene, world) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {RAPIER.World} world
+   * @param {Object} [options]
+   * @param {boolean} [options.textures=true] - load ground textures (off for headless simulation)
+   * @param {SeededRandom} [options.rng] - match RNG; rock shapes and rotations roll from it
+   */
+  constructor(scene, world, options = {}) {
     this.scene = scene;
     this.world = world;
-    this.textureLoader = new THREE.TextureLoader();
-    this.exrLoader = new EXRLoader();
+    this.loadTextures = options.textures !== false;
+    this.rng = options.rng || new SeededRandom();
+    this.textureLoader = this.loadTextures ? new THREE.TextureLoader() : null;
+    this.exrLoader = this.loadTextures ? new EXRLoader() : null;
     this.obstacleMeshes = [];
     this.groundMesh = null;
+    this.objects = []; // everything added to the scene, for dispose()
+    this.time = 0; // game time seen by update(), for the nexus float
 
     // Map dimensions
     this.mapSize = 300;
@@ -32,6 +44,9 @@ export class MOBAMap {
     this.blueBasePos = new THREE.Vector3(0, 0, -130);
     this.redBasePos = new THREE.Vector3(0, 0, 130);
 
+    // Hero spawn pad centers per team (the shop area), filled in createBase
+    this.spawnPads = {};
+
     // Center arena
     this.centerPos = new THREE.Vector3(0, 0, 0);
     this.centerRadius = 40;
@@ -65,18 +80,19 @@ export class MOBAMap {
     };
 
     // Tower positions per team per lane
-    // Blue towers: along lane from base toward center
+    // Blue towers: along lane from base toward center (inner first, then outer)
     // Red towers: mirrored (negate z, negate x for left/right swap)
+    // Towers stand beside the lane path, not on it, so minion waves can walk past
     this.towerPositions = {
       blue: {
-        left:  [{ x: -45, z: -95 }, { x: -75, z: -40 }],
-        mid:   [{ x: 0, z: -90 }, { x: 0, z: -45 }],
-        right: [{ x: 45, z: -95 }, { x: 75, z: -40 }],
+        left:  [{ x: -45, z: -95 }, { x: -67, z: -42 }],
+        mid:   [{ x: 8, z: -90 }, { x: 8, z: -45 }],
+        right: [{ x: 45, z: -95 }, { x: 67, z: -42 }],
       },
       red: {
-        left:  [{ x: 45, z: 95 }, { x: 75, z: 40 }],
-        mid:   [{ x: 0, z: 90 }, { x: 0, z: 45 }],
-        right: [{ x: -45, z: 95 }, { x: -75, z: 40 }],
+        left:  [{ x: 45, z: 95 }, { x: 67, z: 42 }],
+        mid:   [{ x: -8, z: 90 }, { x: -8, z: 45 }],
+        right: [{ x: -45, z: 95 }, { x: -67, z: 42 }],
       }
     };
 
@@ -140,6 +156,22 @@ export class MOBAMap {
       ]
     };
 
+    // Minion paths from the end of each lane (the enemy's minion spawn) into
+    // that base's open front, stopping in front of its Core. Keyed by the
+    // base being entered.
+    this.coreApproach = {
+      red: {
+        left:  [{ x: 20, z: 108 }, { x: 0, z: 108 }, { x: 0, z: 120 }],
+        mid:   [{ x: 0, z: 120 }],
+        right: [{ x: -20, z: 108 }, { x: 0, z: 108 }, { x: 0, z: 120 }],
+      },
+      blue: {
+        left:  [{ x: -20, z: -108 }, { x: 0, z: -108 }, { x: 0, z: -120 }],
+        mid:   [{ x: 0, z: -120 }],
+        right: [{ x: 20, z: -108 }, { x: 0, z: -108 }, { x: 0, z: -120 }],
+      },
+    };
+
     this.createGround();
     this.createLanes();
     this.createCenterArena();
@@ -147,11 +179,41 @@ export class MOBAMap {
     this.createLaneWalls();
   }
 
+  addObject(object) {
+    this.scene.add(object);
+    this.objects.push(object);
+  }
+
   createGround() {
     // Flat ground plane — MOBA maps are flat for fairness
     const geometry = new THREE.PlaneGeometry(this.mapSize, this.mapSize, 1, 1);
     geometry.computeVertexNormals();
 
+    const material = new THREE.MeshStandardMaterial({
+      roughness: 1.0,
+      metalness: 0.0,
+      color: 0x556644
+    });
+
+    if (this.loadTextures) {
+      this.applyGroundTextures(material);
+    }
+
+    const ground = new THREE.Mesh(geometry, material);
+    ground.rotation.x = -Math.PI / 2;
+    ground.receiveShadow = true;
+    this.addObject(ground);
+    this.groundMesh = ground;
+
+    // Physics ground — flat plane
+    const groundBodyDesc = RAPIER.RigidBodyDesc.fixed();
+    const groundBody = this.world.createRigidBody(groundBodyDesc);
+    const groundCollider = RAPIER.ColliderDesc.cuboid(this.halfMap, 0.1, this.halfMap)
+      .setTranslation(0, -0.1, 0);
+    this.world.createCollider(groundCollider, groundBody);
+  }
+
+  applyGroundTextures(material) {
     const basePath = import.meta.env.BASE_URL;
 
     // Use gravelly sand for the base terrain
@@ -166,13 +228,8 @@ export class MOBAMap {
       texture.repeat.set(textureRepeat, textureRepeat);
     });
 
-    const material = new THREE.MeshStandardMaterial({
-      map: diffuseMap,
-      roughnessMap: roughnessMap,
-      roughness: 1.0,
-      metalness: 0.0,
-      color: 0x556644
-    });
+    material.map = diffuseMap;
+    material.roughnessMap = roughnessMap;
 
     this.exrLoader.load(`${basePath}textures/terrain/red_mud_stones/red_mud_stones_nor_gl_4k.exr`, (texture) => {
       texture.wrapS = THREE.RepeatWrapping;
@@ -181,19 +238,6 @@ export class MOBAMap {
       material.normalMap = texture;
       material.needsUpdate = true;
     });
-
-    const ground = new THREE.Mesh(geometry, material);
-    ground.rotation.x = -Math.PI / 2;
-    ground.receiveShadow = true;
-    this.scene.add(ground);
-    this.groundMesh = ground;
-
-    // Physics ground — flat plane
-    const groundBodyDesc = RAPIER.RigidBodyDesc.fixed();
-    const groundBody = this.world.createRigidBody(groundBodyDesc);
-    const groundCollider = RAPIER.ColliderDesc.cuboid(this.halfMap, 0.1, this.halfMap)
-      .setTranslation(0, -0.1, 0);
-    this.world.createCollider(groundCollider, groundBody);
   }
 
   createLanes() {
@@ -231,7 +275,7 @@ export class MOBAMap {
       segMesh.position.set(midX, laneHeight / 2, midZ);
       segMesh.rotation.y = angle;
       segMesh.receiveShadow = true;
-      this.scene.add(segMesh);
+      this.addObject(segMesh);
     }
 
     // Add circular pads at each waypoint for smooth junctions
@@ -240,7 +284,7 @@ export class MOBAMap {
       const pad = new THREE.Mesh(padGeo, material);
       pad.position.set(wp.x, laneHeight / 2, wp.z);
       pad.receiveShadow = true;
-      this.scene.add(pad);
+      this.addObject(pad);
     }
   }
 
@@ -259,7 +303,7 @@ export class MOBAMap {
     const arena = new THREE.Mesh(arenaGeo, arenaMaterial);
     arena.position.set(0, arenaHeight / 2, 0);
     arena.receiveShadow = true;
-    this.scene.add(arena);
+    this.addObject(arena);
 
     // Center control point platform (smaller raised circle)
     const cpRadius = 8;
@@ -276,7 +320,7 @@ export class MOBAMap {
     cpPlatform.position.set(0, arenaHeight + cpHeight / 2, 0);
     cpPlatform.receiveShadow = true;
     cpPlatform.castShadow = true;
-    this.scene.add(cpPlatform);
+    this.addObject(cpPlatform);
 
     // Ring around control point
     const ringGeo = new THREE.TorusGeometry(cpRadius + 1, 0.3, 8, 48);
@@ -290,7 +334,7 @@ export class MOBAMap {
     const ring = new THREE.Mesh(ringGeo, ringMaterial);
     ring.position.set(0, arenaHeight + cpHeight + 0.3, 0);
     ring.rotation.x = -Math.PI / 2;
-    this.scene.add(ring);
+    this.addObject(ring);
     this.controlPointRing = ring;
 
     // Decorative pillars around the arena edge
@@ -309,7 +353,7 @@ export class MOBAMap {
       pillar.position.set(px, 3, pz);
       pillar.castShadow = true;
       pillar.receiveShadow = true;
-      this.scene.add(pillar);
+      this.addObject(pillar);
       this.obstacleMeshes.push(pillar);
 
       // Physics for pillar
@@ -346,9 +390,9 @@ export class MOBAMap {
     platform.position.set(position.x, 0.25, position.z);
     platform.receiveShadow = true;
     platform.castShadow = true;
-    this.scene.add(platform);
+    this.addObject(platform);
 
-    // Base nexus/core crystal
+    // Base nexus/core crystal (the visual of the team's Core)
     const nexusGeo = new THREE.OctahedronGeometry(4, 0);
     const nexusMaterial = new THREE.MeshStandardMaterial({
       color: color,
@@ -362,7 +406,7 @@ export class MOBAMap {
     const nexus = new THREE.Mesh(nexusGeo, nexusMaterial);
     nexus.position.set(position.x, 6, position.z);
     nexus.castShadow = true;
-    this.scene.add(nexus);
+    this.addObject(nexus);
 
     if (team === 'blue') {
       this.blueNexus = nexus;
@@ -386,7 +430,8 @@ export class MOBAMap {
     const spawnPad = new THREE.Mesh(spawnGeo, spawnMaterial);
     const spawnOffset = team === 'blue' ? 8 : -8;
     spawnPad.position.set(position.x, 0.65, position.z + spawnOffset);
-    this.scene.add(spawnPad);
+    this.addObject(spawnPad);
+    this.spawnPads[team] = spawnPad.position.clone();
 
     // Base walls (3 sides, open toward lanes)
     const wallMaterial = new THREE.MeshStandardMaterial({
@@ -401,7 +446,7 @@ export class MOBAMap {
     const backWall = new THREE.Mesh(backWallGeo, wallMaterial);
     backWall.position.set(position.x, wallHeight / 2, position.z + backDir * (baseSize / 2));
     backWall.castShadow = true;
-    this.scene.add(backWall);
+    this.addObject(backWall);
     this.obstacleMeshes.push(backWall);
 
     // Side wall physics
@@ -418,7 +463,7 @@ export class MOBAMap {
     const leftWall = new THREE.Mesh(leftWallGeo, wallMaterial);
     leftWall.position.set(position.x - baseSize / 2, wallHeight / 2, position.z);
     leftWall.castShadow = true;
-    this.scene.add(leftWall);
+    this.addObject(leftWall);
     this.obstacleMeshes.push(leftWall);
 
     const leftWallBody = this.world.createRigidBody(
@@ -433,7 +478,7 @@ export class MOBAMap {
     const rightWall = new THREE.Mesh(leftWallGeo, wallMaterial);
     rightWall.position.set(position.x + baseSize / 2, wallHeight / 2, position.z);
     rightWall.castShadow = true;
-    this.scene.add(rightWall);
+    this.addObject(rightWall);
     this.obstacleMeshes.push(rightWall);
 
     const rightWallBody = this.world.createRigidBody(
@@ -474,7 +519,7 @@ export class MOBAMap {
         const key = `${quantize(px)},${quantize(py)},${quantize(pz)}`;
 
         if (!perturbMap.has(key)) {
-          perturbMap.set(key, 1.0 + (Math.random() - 0.5) * 2 * perturbStrength);
+          perturbMap.set(key, 1.0 + (this.rng.next() - 0.5) * 2 * perturbStrength);
         }
         const scale = perturbMap.get(key);
         tempVec.set(px, py, pz);
@@ -490,10 +535,10 @@ export class MOBAMap {
 
       const rock = new THREE.Mesh(rockGeo, rockMaterial);
       rock.position.set(rp.x, rp.size * 0.6, rp.z);
-      rock.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+      rock.rotation.set(this.rng.next() * Math.PI, this.rng.next() * Math.PI, 0);
       rock.castShadow = true;
       rock.receiveShadow = true;
-      this.scene.add(rock);
+      this.addObject(rock);
       this.obstacleMeshes.push(rock);
 
       // Physics
@@ -568,19 +613,29 @@ export class MOBAMap {
   }
 
   /**
-   * Animate nexus crystals (floating rotation)
+   * Animate nexus crystals (floating rotation). `delta` is game time, so
+   * they hold still while paused.
    */
   update(delta) {
+    this.time += delta;
     if (this.blueNexus) {
       this.blueNexus.rotation.y += delta * 0.5;
-      this.blueNexus.position.y = 6 + Math.sin(Date.now() * 0.001) * 0.5;
+      this.blueNexus.position.y = 6 + Math.sin(this.time) * 0.5;
     }
     if (this.redNexus) {
       this.redNexus.rotation.y += delta * 0.5;
-      this.redNexus.position.y = 6 + Math.sin(Date.now() * 0.001 + Math.PI) * 0.5;
+      this.redNexus.position.y = 6 + Math.sin(this.time + Math.PI) * 0.5;
     }
     if (this.controlPointRing) {
       this.controlPointRing.rotation.z += delta * 0.3;
     }
   }
+
+  dispose() {
+    for (const object of this.objects) {
+      this.scene.remove(object);
+    }
+    this.objects.length = 0;
+    this.obstacleMeshes.length = 0;
+  }
 }
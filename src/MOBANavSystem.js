@@ -1,12 +1,13 @@
 import * as THREE from 'three';
-import { init, NavMesh, NavMeshQuery } from 'recast-navigation';
+import { init, NavMesh, NavMeshQuery, Crowd } from 'recast-navigation';
 import { generateSoloNavMesh } from 'recast-navigation/generators';
 import { getPositionsAndIndices } from '@recast-navigation/three';
 
 /**
  * Navigation mesh system using Recast/Detour for pathfinding.
  * Generates a nav mesh from the MOBA map geometry and provides
- * pathfinding queries to route heroes around obstacles.
+ * pathfinding queries to route heroes around obstacles, plus Detour
+ * crowds for units that move in numbers (minions).
  */
 export class MOBANavSystem {
   constructor() {
@@ -164,6 +165,17 @@ export class MOBANavSystem {
     return new THREE.Vector3(position.x, position.y || 0, position.z);
   }
 
+  /**
+   * Create a Detour crowd on the nav mesh: its agents follow corridors to
+   * their move targets and steer around each other. The caller destroys it
+   * before this system is disposed.
+   * @returns {Crowd|null} null when there is no nav mesh
+   */
+  createCrowd(maxAgents, maxAgentRadius) {
+    if (!this.ready) return null;
+    return new Crowd(this.navMesh, { maxAgents, maxAgentRadius });
+  }
+
   dispose() {
     if (this.navMeshQuery) {
       this.navMeshQuery.destroy();
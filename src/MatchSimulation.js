@@ -0,0 +1,676 @@
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+import { Tank } from './Tank.js';
+import { Warhound } from './Warhound.js';
+import { MOBAMap } from './MOBAMap.js';
+import { Tower } from './Tower.js';
+import { Core } from './Core.js';
+import { ControlPoint } from './ControlPoint.js';
+import { MinionWave } from './MinionWave.js';
+import { HeroTank } from './HeroTank.js';
+import { HeroTitan } from './HeroTitan.js';
+import { MOBAHeroAI } from './MOBAHeroAI.js';
+import { MOBANavSystem } from './MOBANavSystem.js';
+import { SeededRandom } from './SeededRandom.js';
+import { Scheduler } from './Scheduler.js';
+import { GoldEconomy } from './GoldEconomy.js';
+import { Shop } from './Shop.js';
+import { ProjectilePool } from './ProjectilePool.js';
+import { EntityRegistry } from './EntityRegistry.js';
+
+/**
+ * Headless match simulation.
+ * Owns the Rapier world, map, heroes, towers, base cores, minion waves, control point
+ * and hero AI, and advances them one fixed tick per step(). Nothing in here touches
+ * the DOM, requestAnimationFrame or a WebGL renderer, so a match can be
+ * stepped from Node as well as from the browser game loop.
+ *
+ * The match runs at a fixed tick rate. The browser loop feeds real frame
+ * time into advance(), which runs as many step() ticks as fit and returns
+ * the leftover fraction of a tick for render interpolation.
+ *
+ * Rendering, HUD and effects are observers: they register with
+ * addObserver() and receive callbacks such as onHeroDeath(vehicle, team, killer),
+ * onHeroRespawn(vehicle, team), onTowerDestroyed(tower),
+ * onCoreDestroyed(core), onKill({ victim, killer, assists }) for heroes, towers
+ * and cores, onGameOver(winner, reason),
+ * onLoadProgress(percent, status) and onTick() after every tick.
+ *
+ * A match is won on ControlPoint score (reason 'score') or by destroying the
+ * enemy Core (reason 'core'), which is shielded until one of its lanes has
+ * lost every tower.
+ *
+ * Blue is the player team. With options.blueAI the blue hero is driven by
+ * MOBAHeroAI as well, for fully scripted matches.
+ */
+export class MatchSimulation {
+  /**
+   * @param {Object} [options]
+   * @param {THREE.Scene} [options.scene] - scene to build into (a private one is created if omitted)
+   * @param {string} [options.heroType] - blue hero: 'tank' or 'warhound'; red gets the other one
+   * @param {boolean} [options.headless] - use placeholder models and skip texture loading
+   * @param {boolean} [options.blueAI] - let MOBAHeroAI drive the blue hero too
+   * @param {number} [options.seed] - match seed; the same seed replays the same map and rolls
+   */
+  constructor(options = {}) {
+    this.scene = options.scene || new THREE.Scene();
+    this.heroType = options.heroType === 'warhound' ? 'warhound' : 'tank';
+    this.headless = !!options.headless;
+    this.blueAI = !!options.blueAI;
+
+    // Seeded randomness — every gameplay roll goes through this.rng.
+    // Cosmetic effects get their own stream so rendering can't shift it.
+    this.rng = new SeededRandom(options.seed);
+    this.seed = this.rng.seed;
+    this.effectsRng = this.rng.fork();
+
+    // Game-clock timers: fire cooldowns, slows, respawns
+    this.scheduler = new Scheduler();
+
+    // Gold: passive income, last hits, tower gold and hero bounties
+    this.economy = new GoldEconomy();
+
+    // Every hero, minion and structure, for targeting and hit lookups
+    this.registry = new EntityRegistry();
+
+    this.world = null;
+    this.projectilePool = null; // created with the physics world
+
+    // Blue (player) hero
+    this.vehicle = null;
+    this.heroWrapper = null;
+    this.heroAI = null; // only when blueAI is set
+
+    // Red (enemy) hero
+    this.enemyVehicle = null;
+    this.enemyHeroWrapper = null;
+    this.enemyHeroAI = null;
+
+    // Match systems
+    this.mobaMap = null;
+    this.controlPoint = null;
+    this.minionWave = null;
+    this.towers = { blue: [], red: [] };
+    this.cores = { blue: null, red: null };
+    this.navSystem = null;
+
+    // Hero spawn points (on the base spawn pads)
+    this.heroSpawns = {
+      blue: { x: 0, y: 4, z: -122 },
+      red: { x: 0, y: 4, z: 122 },
+    };
+    this.respawnDelays = { blue: 8, red: 10 }; // seconds
+
+    // XP for kills, paid through getKillCredit(); minions pay their own xpValue
+    this.xpRewards = { heroKill: 80, heroAssist: 40, tower: 50 };
+
+    // Fixed timestep: physics, AI, abilities and capture all advance in
+    // ticks of fixedDelta, independent of the display frame rate
+    this.tickRate = 60;
+    this.fixedDelta = 1 / this.tickRate;
+    this.maxFrameTime = 0.25; // longer frames drop time instead of spiralling
+    this.accumulator = 0;
+
+    // Pause and game speed: advance() feeds scaled real time into the ticks,
+    // so everything driven by step() — physics, AI, timers, capture, waves,
+    // cooldowns — follows the same clock
+    this.paused = false;
+    this.timeScale = 1;
+    this.minTimeScale = 0.25;
+    this.maxTimeScale = 4;
+
+    // Match state
+    this.elapsed = 0;
+    this.gameOver = false;
+    this.winner = null;
+    this.winReason = null; // 'score' or 'core'
+
+    this.observers = [];
+  }
+
+  addObserver(observer) {
+    this.observers.push(observer);
+  }
+
+  removeObserver(observer) {
+    this.observers = this.observers.filter(o => o !== observer);
+  }
+
+  /**
+   * Call `event` on every observer that implements it.
+   */
+  notify(event, ...args) {
+    for (const observer of this.observers) {
+      if (typeof observer[event] === 'function') {
+        observer[event](...args);
+      }
+    }
+  }
+
+  async init() {
+    // Physics
+    this.notify('onLoadProgress', 5, 'Initializing physics engine...');
+    await RAPIER.init();
+    this.world = new RAPIER.World({ x: 0, y: -9.81, z: 0 });
+    this.world.timestep = this.fixedDelta;
+
+    // Every shot and hit flash in the match is recycled through this pool
+    this.projectilePool = new ProjectilePool(this.scene, this.world);
+    this.projectilePool.headless = this.headless;
+    this.projectilePool.registry = this.registry;
+
+    // MOBA Map
+    this.notify('onLoadProgress', 15, 'Generating MOBA map...');
+    this.mobaMap = new MOBAMap(this.scene, this.world, {
+      textures: !this.headless,
+      rng: this.rng,
+    });
+
+    // Heroes — red always gets the opposite type
+    this.notify('onLoadProgress', 25, 'Loading your hero...');
+    const blue = await this.createHero(this.heroType, 'blue');
+    this.vehicle = blue.vehicle;
+    this.heroWrapper = blue.wrapper;
+    this.placeHeroAtBase(this.vehicle, 'blue');
+
+    this.notify('onLoadProgress', 40, 'Loading enemy hero...');
+    const red = await this.createHero(this.heroType === 'warhound' ? 'tank' : 'warhound', 'red');
+    this.enemyVehicle = red.vehicle;
+    this.enemyHeroWrapper = red.wrapper;
+    this.placeHeroAtBase(this.enemyVehicle, 'red');
+
+    this.economy.addHero(this.vehicle);
+    this.economy.addHero(this.enemyVehicle);
+    this.shop = new Shop(this.mobaMap, this.economy);
+
+    // Towers
+    this.notify('onLoadProgress', 50, 'Placing towers...');
+    this.createTowers();
+    this.createCores();
+
+    // Navigation mesh for pathfinding
+    this.notify('onLoadProgress', 55, 'Building navigation mesh...');
+    this.navSystem = new MOBANavSystem();
+    await this.navSystem.build(
+      this.mobaMap,
+      [...this.towers.blue, ...this.towers.red, this.cores.blue, this.cores.red]
+    );
+
+    // Control Point
+    this.notify('onLoadProgress', 60, 'Setting up control point...');
+    this.controlPoint = new ControlPoint(this.scene, new THREE.Vector3(0, 0, 0));
+    this.controlPoint.registry = this.registry;
+    this.controlPoint.scheduler = this.scheduler;
+
+    // Minion Waves
+    this.notify('onLoadProgress', 65, 'Loading minion assets...');
+    this.minionWave = new MinionWave(this.scene, this.world, this.mobaMap);
+    this.minionWave.headless = this.headless;
+    this.minionWave.scheduler = this.scheduler;
+    this.minionWave.projectilePool = this.projectilePool;
+    this.minionWave.registry = this.registry;
+    this.minionWave.navSystem = this.navSystem;
+    await this.minionWave.loadAssets();
+
+    // Combat reactions
+    this.notify('onLoadProgress', 72, 'Wiring up combat systems...');
+    this.setupTowerAggro();
+
+    // Hero AI
+    this.notify('onLoadProgress', 78, 'Setting up enemy AI...');
+    this.enemyHeroAI = new MOBAHeroAI(
+      this.enemyVehicle,
+      this.enemyHeroWrapper,
+      this.vehicle,
+      this.mobaMap,
+      'red'
+    );
+    this.enemyHeroAI.navSystem = this.navSystem;
+    this.enemyHeroAI.registry = this.registry;
+    this.enemyHeroAI.economy = this.economy;
+    this.enemyHeroAI.shop = this.shop;
+
+    // Give enemy AI starting ability levels
+    this.enemyHeroWrapper.abilitySystem.addXP(100);
+    this.enemyHeroWrapper.abilitySystem.levelUpAbility('q');
+
+    if (this.blueAI) {
+      this.heroAI = new MOBAHeroAI(
+        this.vehicle,
+        this.heroWrapper,
+        this.enemyVehicle,
+        this.mobaMap,
+        'blue'
+      );
+      this.heroAI.navSystem = this.navSystem;
+      this.heroAI.registry = this.registry;
+      this.heroAI.economy = this.economy;
+      this.heroAI.shop = this.shop;
+    }
+
+    // Auto-level first ability for the blue hero
+    this.heroWrapper.abilitySystem.levelUpAbility('q');
+
+    // Handle deaths
+    this.setupDeathHandlers();
+  }
+
+  /**
+   * Tear the match down: stop timers and spawning, remove everything the
+   * match added to the scene, then free the nav mesh and physics world.
+   * The simulation can't be stepped afterwards.
+   */
+  dispose() {
+    this.gameOver = true;
+    this.observers = [];
+    this.scheduler.clear();
+
+    if (this.minionWave) this.minionWave.dispose();
+
+    for (const tower of [...this.towers.blue, ...this.towers.red]) {
+      tower.dispose();
+    }
+    for (const core of [this.cores.blue, this.cores.red]) {
+      if (core) core.dispose();
+    }
+    for (const wrapper of [this.heroWrapper, this.enemyHeroWrapper]) {
+      if (wrapper) wrapper.dispose();
+    }
+    for (const vehicle of [this.vehicle, this.enemyVehicle]) {
+      if (vehicle) vehicle.dispose();
+    }
+    if (this.controlPoint) this.controlPoint.dispose();
+    if (this.mobaMap) this.mobaMap.dispose();
+    if (this.navSystem) this.navSystem.dispose();
+    if (this.projectilePool) this.projectilePool.dispose();
+    this.registry.clear();
+
+    if (this.world) {
+      this.world.free();
+      this.world = null;
+    }
+  }
+
+  /**
+   * Create a hero vehicle and its MOBA wrapper.
+   * Headless matches use placeholder models instead of the GLBs.
+   * @param {string} type - 'tank' or 'warhound'
+   * @param {string} team - 'blue' or 'red'
+   */
+  async createHero(type, team) {
+    let vehicle;
+    let wrapper;
+    if (type === 'warhound') {
+      vehicle = new Warhound(this.scene, this.world);
+      if (this.headless) vehicle.loadPlaceholder();
+      else await vehicle.load('warhound.glb');
+      wrapper = new HeroTitan(vehicle, this.scene, this.world);
+    } else {
+      vehicle = new Tank(this.scene, this.world);
+      if (this.headless) vehicle.loadPlaceholder();
+      else await vehicle.load('bastion.glb');
+      wrapper = new HeroTank(vehicle, this.scene, this.world);
+    }
+    vehicle.setTeam(team);
+    vehicle.scheduler = this.scheduler;
+    vehicle.projectilePool = this.projectilePool;
+    this.registry.add(vehicle, 'hero');
+    wrapper.abilitySystem.rng = this.rng;
+    wrapper.abilitySystem.registry = this.registry;
+    return { vehicle, wrapper };
+  }
+
+  /**
+   * Move a hero onto its team's spawn pad, facing the center of the map.
+   */
+  placeHeroAtBase(vehicle, team) {
+    if (!vehicle.body) return;
+
+    vehicle.body.setTranslation(this.heroSpawns[team], true);
+
+    // Tank forward is -Z, Warhound forward is +Z. Blue faces +Z toward
+    // center, red faces -Z — rotate 180° when the model points the other way.
+    const towardCenter = team === 'blue' ? 1 : -1;
+    const yaw = Math.sign(vehicle._forwardLocal.z) === towardCenter ? 0 : Math.PI;
+    const quat = new THREE.Quaternion();
+    quat.setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw);
+    vehicle.body.setRotation({ x: quat.x, y: quat.y, z: quat.z, w: quat.w }, true);
+  }
+
+  /**
+   * Lane tower positions run from the base outward, so the last tower in a
+   * lane is tier 1 (outer) and each tower is protected by the next one out.
+   */
+  createTowers() {
+    const positions = this.mobaMap.towerPositions;
+
+    for (const team of ['blue', 'red']) {
+      for (const lane of ['left', 'mid', 'right']) {
+        const lanePositions = positions[team][lane];
+        let outer = null;
+        for (let i = lanePositions.length - 1; i >= 0; i--) {
+          const tier = lanePositions.length - i;
+          const tower = new Tower(this.scene, this.world, lanePositions[i], team, lane, tier);
+          tower.protectedBy = outer;
+          tower.projectilePool = this.projectilePool;
+          tower.registry = this.registry;
+          tower.scheduler = this.scheduler;
+          this.registry.add(tower, 'tower');
+          this.towers[team].push(tower);
+          outer = tower;
+        }
+      }
+    }
+  }
+
+  createCores() {
+    const map = this.mobaMap;
+    this.cores.blue = new Core(this.scene, this.world, map.blueBasePos, 'blue', map.blueNexus);
+    this.cores.red = new Core(this.scene, this.world, map.redBasePos, 'red', map.redNexus);
+    this.registry.add(this.cores.blue, 'core');
+    this.registry.add(this.cores.red, 'core');
+
+    for (const team of ['blue', 'red']) {
+      const laneTowers = this.cores[team].laneTowers;
+      for (const tower of this.towers[team]) {
+        if (!laneTowers[tower.lane]) laneTowers[tower.lane] = [];
+        laneTowers[tower.lane].push(tower);
+      }
+    }
+  }
+
+  /**
+   * Towers punish dives: when the enemy hero damages a hero standing in
+   * range of its own towers, those towers switch to the attacker.
+   */
+  setupTowerAggro() {
+    for (const team of ['blue', 'red']) {
+      const hero = team === 'blue' ? this.vehicle : this.enemyVehicle;
+      const enemyHero = team === 'blue' ? this.enemyVehicle : this.vehicle;
+
+      hero.damageHooks.after.push((event) => {
+        if (event.source !== enemyHero || event.amount <= 0) return;
+        const heroPos = hero.getPosition();
+        for (const tower of this.towers[team]) {
+          if (!tower.alive) continue;
+          if (tower.position.distanceTo(heroPos) <= tower.attackRange) {
+            tower.setAggro(enemyHero);
+          }
+        }
+      });
+    }
+  }
+
+  setupDeathHandlers() {
+    this.vehicle.onDeath = (vehicle, killer) => this.handleHeroDeath(vehicle, 'blue', killer);
+    this.enemyVehicle.onDeath = (vehicle, killer) => this.handleHeroDeath(vehicle, 'red', killer);
+
+    for (const tower of [...this.towers.blue, ...this.towers.red]) {
+      tower.onDeath = (t, killer) => {
+        // Tower gold is a team reward; XP goes to the heroes that took part
+        const credit = this.getKillCredit(t, killer);
+        for (const hero of credit.heroes) {
+          this.getHeroWrapper(hero).abilitySystem.addXP(this.xpRewards.tower);
+        }
+        const attackingHero = t.team === 'red' ? this.vehicle : this.enemyVehicle;
+        this.economy.earn(attackingHero, this.economy.towerGold);
+        this.notify('onTowerDestroyed', t);
+        this.notify('onKill', { victim: t, killer, assists: credit.assists });
+      };
+    }
+
+    for (const team of ['blue', 'red']) {
+      this.cores[team].onDeath = (core, killer) => {
+        const credit = this.getKillCredit(core, killer);
+        this.notify('onCoreDestroyed', core);
+        this.notify('onKill', { victim: core, killer, assists: credit.assists });
+        this.endMatch(team === 'blue' ? 'red' : 'blue', 'core');
+      };
+    }
+
+    // Last hits: only the unit that landed the killing blow is paid gold;
+    // every hero that damaged the minion shares its XP
+    this.minionWave.onMinionDeath = (minion, killer) => {
+      this.economy.earn(killer, minion.goldValue || 0);
+      for (const hero of this.getKillCredit(minion, killer).heroes) {
+        this.getHeroWrapper(hero).abilitySystem.addXP(minion.xpValue || 15);
+      }
+    };
+  }
+
+  isHero(unit) {
+    return unit === this.vehicle || unit === this.enemyVehicle;
+  }
+
+  getHeroWrapper(hero) {
+    return hero === this.vehicle ? this.heroWrapper : this.enemyHeroWrapper;
+  }
+
+  /**
+   * Heroes credited with a death, from the victim's damage ledger. Must be
+   * called from onDeath, before the victim clears its ledger.
+   * @param {Object} victim
+   * @param {Object} [killer] - unit that landed the killing blow (any kind)
+   * @returns {{ killer: Object|null, assists: Object[], heroes: Object[] }}
+   *   killer is the killing unit if it is a hero; assists are the other
+   *   heroes that damaged the victim recently; heroes is both together
+   */
+  getKillCredit(victim, killer) {
+    const heroKiller = this.isHero(killer) ? killer : null;
+    const assists = victim.damageLedger.getAssists(killer).filter(unit => this.isHero(unit));
+    return {
+      killer: heroKiller,
+      assists,
+      heroes: heroKiller ? [heroKiller, ...assists] : assists,
+    };
+  }
+
+  /**
+   * @param {Object} vehicle - the hero that died
+   * @param {string} team
+   * @param {Object} [killer] - unit credited with the killing blow
+   */
+  handleHeroDeath(vehicle, team, killer = null) {
+    console.log(`${team === 'blue' ? 'Player' : 'Enemy'} hero destroyed!`);
+    // Still updated while dead (shots in flight, timers); it shouldn't drive
+    vehicle.setMoveInput(0, 0);
+
+    const credit = this.getKillCredit(vehicle, killer);
+    if (credit.killer) {
+      this.economy.earn(credit.killer, this.economy.heroBounty);
+      this.getHeroWrapper(credit.killer).abilitySystem.addXP(this.xpRewards.heroKill);
+      console.log(`Bounty of ${this.economy.heroBounty} gold claimed`);
+    }
+    for (const hero of credit.assists) {
+      this.economy.earn(hero, this.economy.assistGold);
+      this.getHeroWrapper(hero).abilitySystem.addXP(this.xpRewards.heroAssist);
+    }
+
+    this.notify('onHeroDeath', vehicle, team, killer);
+    this.notify('onKill', { victim: vehicle, killer, assists: credit.assists });
+
+    this.scheduler.after(this.respawnDelays[team], () => {
+      if (this.gameOver) return;
+      vehicle.health = vehicle.maxHealth;
+      vehicle.energy = vehicle.maxEnergy;
+      this.placeHeroAtBase(vehicle, team);
+      console.log(`${team === 'blue' ? 'Player' : 'Enemy'} hero respawned!`);
+      this.notify('onHeroRespawn', vehicle, team);
+    });
+  }
+
+  /**
+   * Feed real elapsed time into the match and run every whole tick it covers.
+   * @param {number} frameDelta - seconds since the last call
+   * @returns {number} interpolation alpha (0-1) between the last two ticks
+   */
+  advance(frameDelta) {
+    if (this.paused) return this.accumulator / this.fixedDelta;
+
+    // Clamp the real frame before scaling, so a long frame at 4x still
+    // yields 4x its (clamped) length in game time
+    this.accumulator += Math.min(frameDelta, this.maxFrameTime) * this.timeScale;
+
+    while (this.accumulator >= this.fixedDelta && !this.gameOver) {
+      this.step();
+      this.accumulator -= this.fixedDelta;
+    }
+
+    return this.accumulator / this.fixedDelta;
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+  }
+
+  /**
+   * @param {number} scale - game speed multiplier, clamped to [minTimeScale, maxTimeScale]
+   */
+  setTimeScale(scale) {
+    this.timeScale = Math.min(this.maxTimeScale, Math.max(this.minTimeScale, scale));
+  }
+
+  /**
+   * Advance the match by exactly one tick.
+   */
+  step() {
+    if (this.gameOver) return;
+
+    const delta = this.fixedDelta;
+    this.elapsed += delta;
+
+    // Timers due this tick
+    this.scheduler.update(delta);
+
+    // Physics
+    this.world.step();
+
+    // Unit positions for this tick's range queries
+    this.registry.update();
+
+    // Blue hero
+    if (this.heroAI && this.vehicle.isAlive()) {
+      this.heroAI.update(delta);
+    }
+    this.vehicle.update(delta);
+    this.heroWrapper.update(delta);
+
+    // Red hero
+    if (this.enemyVehicle) {
+      if (this.enemyHeroAI && this.enemyVehicle.isAlive()) {
+        this.enemyHeroAI.update(delta);
+      }
+      this.enemyVehicle.update(delta);
+      this.enemyHeroWrapper.update(delta);
+    }
+
+    // Towers
+    for (const tower of [...this.towers.blue, ...this.towers.red]) {
+      tower.update(delta);
+    }
+    this.cores.blue.update(delta);
+    this.cores.red.update(delta);
+
+    // Minions
+    this.minionWave.update(delta);
+
+    // Hit flashes
+    this.projectilePool.update(delta);
+
+    // Control point
+    const cpResult = this.controlPoint.update(delta);
+
+    // Base healing and health/energy regen
+    this.handleBaseHealing(delta);
+    this.handleRegen(delta);
+
+    // Passive gold income
+    this.economy.update(delta);
+
+    this.notify('onTick');
+
+    if (cpResult.winner) {
+      this.endMatch(cpResult.winner, 'score');
+    }
+  }
+
+  /**
+   * Scene objects that move during a tick, for render interpolation:
+   * heroes, minions (including ones playing their death animation) and
+   * every projectile in flight.
+   */
+  getMovingObjects() {
+    const objects = [];
+    const units = this.registry.query({ kind: ['hero', 'minion', 'tower'], includeDead: true });
+
+    for (const unit of units) {
+      if (unit.body && unit.mesh) objects.push(unit.mesh);
+      if (!unit.projectiles) continue;
+      for (const projectile of unit.projectiles) {
+        if (projectile.alive) objects.push(projectile.mesh);
+      }
+    }
+
+    return objects;
+  }
+
+  /**
+   * @param {string} winner - 'blue' or 'red'
+   * @param {string} reason - 'score' (control point) or 'core'
+   */
+  endMatch(winner, reason) {
+    if (this.gameOver) return;
+    this.gameOver = true;
+    this.winner = winner;
+    this.winReason = reason;
+    this.notify('onGameOver', winner, reason);
+  }
+
+  /**
+   * Regeneration everywhere on the map: energy (hero.energyRegen) and
+   * item health regen (hero.healthRegen), per second.
+   */
+  handleRegen(delta) {
+    for (const hero of [this.vehicle, this.enemyVehicle]) {
+      if (!hero.isAlive()) continue;
+      hero.health = Math.min(hero.maxHealth, hero.health + hero.healthRegen * delta);
+      hero.energy = Math.min(hero.maxEnergy, hero.energy + hero.energyRegen * delta);
+    }
+  }
+
+  handleBaseHealing(delta) {
+    const blueBase = this.mobaMap.blueBasePos;
+    const redBase = this.mobaMap.redBasePos;
+    const healRadius = 20;
+    const healRate = 8;
+    const energyRate = 10;
+
+    if (this.vehicle.isAlive()) {
+      const pos = this.vehicle.getPosition();
+      if (pos.distanceTo(blueBase) < healRadius) {
+        this.vehicle.health = Math.min(
+          this.vehicle.maxHealth,
+          this.vehicle.health + healRate * delta
+        );
+        this.vehicle.energy = Math.min(
+          this.vehicle.maxEnergy,
+          this.vehicle.energy + energyRate * delta
+        );
+      }
+    }
+
+    if (this.enemyVehicle.isAlive()) {
+      const pos = this.enemyVehicle.getPosition();
+      if (pos.distanceTo(redBase) < healRadius) {
+        this.enemyVehicle.health = Math.min(
+          this.enemyVehicle.maxHealth,
+          this.enemyVehicle.health + healRate * delta
+        );
+        this.enemyVehicle.energy = Math.min(
+          this.enemyVehicle.maxEnergy,
+          this.enemyVehicle.energy + energyRate * delta
+        );
+      }
+    }
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Minion archetypes. MinionWave builds each wave from these by key (see
+ * MinionWave.waveComposition).
+ *
+ * - attack: 'melee' strikes the target directly; 'ranged' fires `projectile`
+ *   (a PROJECTILE_TYPES key) in the facing direction
+ * - range: distance at which the minion attacks (from a structure's edge
+ *   rather than its center); engaged minions hold on a firing arc at about
+ *   0.6 of this around the target
+ * - health / healthPerWave: max health is health + healthPerWave × wave number
+ * - damage / fireRate: per hit, and seconds between attacks
+ * - moveSpeed: walking speed
+ * - armor: ARMOR_PROFILES key
+ * - priority: kinds (see EntityRegistry.query) engaged first when any are in
+ *   sight; otherwise the minion fights the nearest enemy
+ * - scale / tint: model height multiplier and material color (null keeps the
+ *   model's own)
+ * - xp / gold: paid for the kill
+ */
+export const MINION_TYPES = {
+  melee: {
+    attack: 'melee',
+    range: 5,
+    health: 14,
+    healthPerWave: 1.5,
+    damage: 3,
+    fireRate: 1.2,
+    moveSpeed: 4,
+    armor: 'minion',
+    priority: [],
+    scale: 1,
+    tint: null,
+    xp: 15,
+    gold: 20,
+  },
+  ranged: {
+    attack: 'ranged',
+    projectile: 'rifle',
+    range: 12,
+    health: 10,
+    healthPerWave: 1.2,
+    damage: 2,
+    fireRate: 1.5,
+    moveSpeed: 4,
+    armor: 'minion',
+    priority: [],
+    scale: 0.95,
+    tint: 0x88aadd,
+    xp: 12,
+    gold: 15,
+  },
+  siege: {
+    attack: 'ranged',
+    projectile: 'minion_shell',
+    range: 14,
+    health: 30,
+    healthPerWave: 3,
+    damage: 6,
+    fireRate: 3,
+    moveSpeed: 3.5,
+    armor: 'minion',
+    priority: ['structure'],
+    scale: 1.25,
+    tint: 0xcc8844,
+    xp: 30,
+    gold: 40,
+  },
+  super: {
+    attack: 'melee',
+    range: 5,
+    health: 60,
+    healthPerWave: 4,
+    damage: 8,
+    fireRate: 1.0,
+    moveSpeed: 4,
+    armor: 'super_minion',
+    priority: [],
+    scale: 1.5,
+    tint: 0xaa55ff,
+    xp: 40,
+    gold: 50,
+  },
+};
@@ -1,13 +1,58 @@
 import * as THREE from 'three';
+import { Detour } from 'recast-navigation';
 import { Infantry } from './Infantry.js';
+import { MINION_TYPES } from './MinionTypes.js';
+import { applyArmorProfile } from './Damage.js';
+
+const ENGAGE_RANGE = 15;     // minions fight enemies within this distance
+const STRUCTURE_REACH = 3;   // structures are hit from outside their footprint
+const ARC_SPACING = 2;       // meters between minions sharing a firing arc
+const MARCH_THROTTLE = 0.7;  // walking pace; more and Infantry breaks into a run
+const AGENT_DRIFT = 1;       // body-to-agent distance that resyncs the agent
+
+// Detour's UpdateFlags (DetourCrowd.h); recast-navigation doesn't export them
+const DT_CROWD_ANTICIPATE_TURNS = 1;
+const DT_CROWD_OBSTACLE_AVOIDANCE = 2;
+const DT_CROWD_SEPARATION = 4;
+const DT_CROWD_OPTIMIZE_VIS = 8;
+
+// Detour crowd agent settings; maxSpeed is set per minion
+const AGENT_PARAMS = {
+  radius: 0.6,
+  height: 1.8,
+  maxAcceleration: 12,
+  collisionQueryRange: 5,
+  pathOptimizationRange: 15,
+  separationWeight: 2,
+  updateFlags: DT_CROWD_ANTICIPATE_TURNS | DT_CROWD_OBSTACLE_AVOIDANCE |
+    DT_CROWD_SEPARATION | DT_CROWD_OPTIMIZE_VIS,
+};
 
 /**
  * Manages minion wave spawning and lane marching.
  * Spawns waves of infantry minions that march down lanes,
  * attack enemy minions/towers/heroes, and grant XP/gold on death.
  *
- * Each wave: 4 minions per lane, 3 lanes = 12 minions per wave per team
- * Waves spawn every 30 seconds
+ * Each wave spawns `waveComposition` in every lane for both teams — by
+ * default 3 melee and 2 ranged minions, a siege minion every third wave,
+ * and a super minion in lanes whose enemy towers have all fallen.
+ * Archetype stats live in MINION_TYPES. Waves spawn every 30 seconds.
+ *
+ * Spawning never stalls a frame: a wave is queued and update() places
+ * `spawnsPerTick` minions per tick. Minions come from per-archetype pools
+ * of Infantry — prewarmed while the match loads with a full wave, and one
+ * lane's worth of super minions — and go back to them after their death
+ * animation instead of being disposed, so cloning the skinned model only
+ * happens when a pool runs dry. `created` / `spawned` count allocations
+ * against spawns.
+ *
+ * Minions move as agents of a Detour crowd on the match nav mesh: they
+ * follow nav-mesh corridors between lane waypoints and steer around each
+ * other, and minions sharing a target spread along a firing arc around it.
+ * The crowd only plans: each minion's body follows its agent a step behind,
+ * and an agent that drifts too far from its body is teleported back to it.
+ * Without a nav mesh (or with the crowd full) minions steer straight at
+ * waypoints.
  */
 export class MinionWave {
   constructor(scene, world, mobaMap) {
@@ -21,102 +66,224 @@ export class MinionWave {
     this.waveTimer = -this.firstWaveDelay;
     this.waveCount = 0;
 
-    // Minions per wave per lane
-    this.minionsPerLane = 4;
+    // Minions per lane each wave, in spawn order:
+    //   { type: MINION_TYPES key, count, every?: only every Nth wave,
+    //     laneOpen?: only once every enemy tower in the lane is down }
+    this.waveComposition = [
+      { type: 'melee', count: 3 },
+      { type: 'ranged', count: 2 },
+      { type: 'siege', count: 1, every: 3 },
+      { type: 'super', count: 1, laneOpen: true },
+    ];
 
-    // All active minions per team
-    this.blueMinions = [];
-    this.redMinions = [];
+    // Every minion still in the world, both teams, dying ones included;
+    // targeting goes through the registry
+    this.minions = [];
 
     // Lane assignments for minions
     this.laneNames = ['left', 'mid', 'right'];
 
-    // XP and gold values
-    this.minionXP = 15;
-    this.minionGold = 20;
-
-    // Damage targets (set externally)
-    this.blueDamageTargets = [];
-    this.redDamageTargets = [];
+    // Called as (minion, killer) when a minion dies (set externally)
+    this.onMinionDeath = null;
 
     // Track if shared infantry assets are loaded
     this.assetsLoaded = false;
+
+    // Game-clock timers handed to every minion (set externally)
+    this.scheduler = null;
+
+    // Projectile pool handed to every minion (set externally)
+    this.projectilePool = null;
+
+    // Match EntityRegistry: minions join it on spawn and find enemies in it (set externally)
+    this.registry = null;
+
+    // Nav mesh for crowd pathing (set externally); the crowd is built on it in loadAssets()
+    this.navSystem = null;
+    this.crowd = null;
+    this.maxAgents = 300;
+
+    // Minions waiting to be placed: { team, lane, type, index, count, path }
+    this.spawnQueue = [];
+    this.spawnsPerTick = 2;
+
+    // MINION_TYPES key -> deactivated Infantry ready for reuse
+    this.pools = {};
+    this.created = 0;
+    this.spawned = 0;
+
+    // Headless simulation: spawn placeholder minions, never load the GLBs (set externally)
+    this.headless = false;
   }
 
   async loadAssets() {
-    await Infantry.loadSharedAssets();
+    if (!this.headless) {
+      await Infantry.loadSharedAssets();
+    }
     this.assetsLoaded = true;
+    this.prewarm();
+
+    if (this.navSystem) {
+      this.crowd = this.navSystem.createCrowd(this.maxAgents, AGENT_PARAMS.radius);
+    }
   }
 
   /**
-   * Spawn a wave for both teams.
+   * Fill the pools with one wave's worth of every archetype, so early
+   * waves clone nothing. Lanes open one at a time, so lane-open archetypes
+   * get one lane's worth.
    */
-  async spawnWave() {
+  prewarm() {
+    const perWave = this.laneNames.length * 2; // every lane, both teams
+    for (const entry of this.waveComposition) {
+      const count = entry.laneOpen ? entry.count : entry.count * perWave;
+      const pool = this.getPool(entry.type);
+      for (let i = 0; i < count; i++) {
+        const minion = this.createMinion(entry.type);
+        minion.deactivate();
+        pool.push(minion);
+      }
+    }
+  }
+
+  getPool(typeKey) {
+    if (!this.pools[typeKey]) this.pools[typeKey] = [];
+    return this.pools[typeKey];
+  }
+
+  /**
+   * Build a new minion of an archetype: model scaled and tinted for it.
+   * @param {string} typeKey - key of MINION_TYPES
+   * @returns {Infantry}
+   */
+  createMinion(typeKey) {
+    const type = MINION_TYPES[typeKey];
+    const minion = new Infantry(this.scene, this.world);
+    minion.targetHeight *= type.scale;
+    minion.tint = type.tint;
+    if (this.headless) {
+      minion.loadPlaceholder();
+    } else {
+      minion.createModel();
+    }
+
+    minion.isMinion = true;
+    minion.minionType = typeKey;
+    minion.scheduler = this.scheduler;
+    minion.projectilePool = this.projectilePool;
+    minion.onDeath = (m, killer) => {
+      if (this.onMinionDeath) this.onMinionDeath(m, killer);
+    };
+
+    this.created++;
+    return minion;
+  }
+
+  /**
+   * Queue a wave for both teams; update() places it over the next ticks.
+   */
+  spawnWave() {
     if (!this.assetsLoaded) return;
 
     this.waveCount++;
     console.log(`Spawning minion wave #${this.waveCount}`);
 
     for (const lane of this.laneNames) {
-      await this.spawnLaneWave('blue', lane);
-      await this.spawnLaneWave('red', lane);
+      this.queueLaneWave('blue', lane);
+      this.queueLaneWave('red', lane);
     }
   }
 
-  async spawnLaneWave(team, lane) {
-    const spawn = this.mobaMap.minionSpawns[team][lane];
+  /**
+   * Archetype keys to spawn in one lane this wave, per waveComposition.
+   */
+  getLaneComposition(team, lane) {
+    const types = [];
+    for (const entry of this.waveComposition) {
+      if (entry.every && this.waveCount % entry.every !== 0) continue;
+      if (entry.laneOpen && !this.isLaneOpen(team, lane)) continue;
+      for (let i = 0; i < entry.count; i++) types.push(entry.type);
+    }
+    return types;
+  }
+
+  /**
+   * Whether every enemy tower in `lane` has been destroyed.
+   */
+  isLaneOpen(team, lane) {
+    const enemyTowers = this.registry.query({ kind: 'tower', enemyOf: team, includeDead: true })
+      .filter(tower => tower.lane === lane);
+    return enemyTowers.every(tower => !tower.isAlive());
+  }
+
+  queueLaneWave(team, lane) {
     const waypoints = this.mobaMap.laneWaypoints[lane];
+    const types = this.getLaneComposition(team, lane);
 
-    // Red team walks waypoints in reverse
-    const path = team === 'blue' ? [...waypoints] : [...waypoints].reverse();
-
-    for (let i = 0; i < this.minionsPerLane; i++) {
-      const minion = new Infantry(this.scene, this.world);
-      await minion.load();
-
-      // Mark as minion
-      minion.isMinion = true;
-      minion.team = team;
-      minion.lane = lane;
-      minion.xpValue = this.minionXP;
-      minion.goldValue = this.minionGold;
-
-      // MOBA minion stats
-      minion.maxHealth = 12 + this.waveCount * 1.5; // scale with wave count
-      minion.health = minion.maxHealth;
-      minion.moveSpeed = 4;
-      minion.fireRate = 1.5;
-
-      // Assign lane path
-      minion._lanePath = path;
-      minion._laneWaypointIndex = 0;
-
-      // Position at spawn with slight offset per minion
-      const offsetX = (i - this.minionsPerLane / 2) * 2;
-      const spawnX = spawn.x + offsetX;
-      const spawnZ = spawn.z;
-
-      if (minion.body) {
-        minion.body.setTranslation({ x: spawnX, y: 1, z: spawnZ }, true);
-
-        // Face toward first waypoint
-        const firstWP = path[0];
-        const angle = Math.atan2(firstWP.x - spawnX, firstWP.z - spawnZ);
-        const quat = new THREE.Quaternion();
-        quat.setFromAxisAngle(new THREE.Vector3(0, 1, 0), angle);
-        minion.body.setRotation({ x: quat.x, y: quat.y, z: quat.z, w: quat.w }, true);
-      }
+    // Red team walks waypoints in reverse, then both push on into the enemy base
+    const enemyBase = team === 'blue' ? 'red' : 'blue';
+    const path = [
+      ...(team === 'blue' ? waypoints : [...waypoints].reverse()),
+      ...this.mobaMap.coreApproach[enemyBase][lane],
+    ];
 
-      // Set damage targets
-      minion.damageTargets = team === 'blue' ? this.redDamageTargets : this.blueDamageTargets;
+    types.forEach((type, index) => {
+      this.spawnQueue.push({ team, lane, type, index, count: types.length, path });
+    });
+  }
 
-      // Add to team list
-      if (team === 'blue') {
-        this.blueMinions.push(minion);
-      } else {
-        this.redMinions.push(minion);
-      }
+  /**
+   * Place one queued minion, reusing a pooled one when available.
+   */
+  spawnMinion({ team, lane, type, index, count, path }) {
+    const minion = this.getPool(type).pop() || this.createMinion(type);
+    this.spawned++;
+
+    minion.setTeam(team);
+    minion.lane = lane;
+    minion.reset();
+    minion._deathTimer = 0;
+    this.applyMinionType(minion, type);
+
+    // Assign lane path
+    minion._lanePath = path;
+    minion._laneWaypointIndex = 0;
+
+    // Position at spawn with slight offset per minion, facing the first waypoint
+    const spawn = this.mobaMap.minionSpawns[team][lane];
+    const spawnX = spawn.x + (index - count / 2) * 2;
+    const spawnZ = spawn.z;
+    const firstWP = path[0];
+    minion.placeAt(spawnX, spawnZ, Math.atan2(firstWP.x - spawnX, firstWP.z - spawnZ));
+
+    if (this.crowd && this.crowd.getActiveAgentCount() < this.maxAgents) {
+      minion.agent = this.crowd.addAgent(
+        this.navSystem.closestPoint({ x: spawnX, y: 0, z: spawnZ }),
+        { ...AGENT_PARAMS, maxSpeed: minion.moveSpeed * MARCH_THROTTLE }
+      );
     }
+    minion._agentGoal = null;
+
+    this.minions.push(minion);
+    this.registry.add(minion, 'minion');
+  }
+
+  /**
+   * Give a freshly spawned minion its archetype's stats, scaled by wave.
+   * @param {Infantry} minion
+   * @param {string} typeKey - key of MINION_TYPES
+   */
+  applyMinionType(minion, typeKey) {
+    const type = MINION_TYPES[typeKey];
+    minion.maxHealth = type.health + this.waveCount * type.healthPerWave;
+    minion.health = minion.maxHealth;
+    minion.moveSpeed = type.moveSpeed;
+    minion.fireRate = type.fireRate;
+    minion.projectileDamage = type.damage;
+    if (type.projectile) minion.projectileType = type.projectile;
+    minion.xpValue = type.xp;
+    minion.goldValue = type.gold;
+    applyArmorProfile(minion, type.armor);
   }
 
   /**
@@ -130,112 +297,208 @@ export class MinionWave {
       this.spawnWave();
     }
 
-    // Update all minions
-    this.updateTeamMinions(this.blueMinions, this.redMinions, delta);
-    this.updateTeamMinions(this.redMinions, this.blueMinions, delta);
-
-    // Clean up dead minions
-    this.blueMinions = this.blueMinions.filter(m => {
-      if (!m.isAlive()) {
-        // Dispose after death animation finishes
-        if (m.currentState === 'death') {
-          m._deathTimer = (m._deathTimer || 0) + delta;
-          if (m._deathTimer > 3) {
-            m.dispose();
-            return false;
-          }
-          m.update(delta); // keep updating for death animation
-          return true;
-        }
-      }
-      return m.isAlive();
-    });
+    // A few queued minions per tick, so a wave never lands in one frame
+    for (let i = 0; i < this.spawnsPerTick && this.spawnQueue.length > 0; i++) {
+      this.spawnMinion(this.spawnQueue.shift());
+    }
 
-    this.redMinions = this.redMinions.filter(m => {
-      if (!m.isAlive()) {
-        if (m.currentState === 'death') {
-          m._deathTimer = (m._deathTimer || 0) + delta;
-          if (m._deathTimer > 3) {
-            m.dispose();
-            return false;
-          }
-          m.update(delta);
-          return true;
-        }
+    // Targets first, so minions sharing one can split its firing arc
+    const active = this.minions.filter(m => m.isAlive());
+    for (const minion of active) minion._target = this.findTarget(minion);
+
+    if (this.crowd) {
+      this.assignFiringArcs(active);
+      for (const minion of active) this.moveAgent(minion);
+      this.crowd.update(delta);
+    }
+
+    for (const minion of active) this.updateMinion(minion, delta);
+
+    // Dead minions leave the crowd at once and go back to the pool once
+    // their death animation has played (straight away for placeholders,
+    // which have none)
+    this.minions = this.minions.filter(m => {
+      if (m.isAlive()) return true;
+      this.removeAgent(m);
+      m._deathTimer += delta;
+      if (m.currentState === 'death' && m._deathTimer <= 3) {
+        m.update(delta); // keep updating for death animation
+        return true;
       }
-      return m.isAlive();
+      this.release(m);
+      return false;
     });
   }
 
-  updateTeamMinions(friendlyMinions, enemyMinions, delta) {
-    for (const minion of friendlyMinions) {
-      if (!minion.isAlive()) continue;
+  release(minion) {
+    this.registry.remove(minion);
+    minion.deactivate();
+    this.getPool(minion.minionType).push(minion);
+  }
 
-      const myPos = minion.getPosition();
+  removeAgent(minion) {
+    if (!minion.agent) return;
+    this.crowd.removeAgent(minion.agent);
+    minion.agent = null;
+  }
 
-      // Find nearest enemy (minions, heroes, towers)
-      let nearestEnemy = null;
-      let nearestDist = Infinity;
+  /**
+   * Enemy to fight: the nearest one in engage range that can be hurt
+   * (minions, heroes, unshielded structures), except that kinds in the
+   * archetype's priority (siege: structures) win over anything nearer.
+   */
+  findTarget(minion) {
+    const myPos = minion.getPosition();
+    const type = MINION_TYPES[minion.minionType];
+    const filter = { enemyOf: minion.team, targetable: true, radius: ENGAGE_RANGE };
+    for (const kind of type.priority) {
+      const preferred = this.registry.nearest(myPos, { ...filter, kind });
+      if (preferred) return preferred;
+    }
+    return this.registry.nearest(myPos, filter);
+  }
 
-      // Check enemy minions
-      for (const enemy of enemyMinions) {
-        if (!enemy.isAlive()) continue;
-        const d = myPos.distanceTo(enemy.getPosition());
-        if (d < nearestDist) {
-          nearestDist = d;
-          nearestEnemy = enemy;
-        }
-      }
+  /**
+   * Give every engaged minion a slot (`_arcPoint`) instead of letting them
+   * all walk at their target: minions with the same target and attack range
+   * spread ARC_SPACING apart along a circle inside that range, centered on
+   * the side they approach from and kept in their current order around the
+   * target so their paths don't cross.
+   */
+  assignFiringArcs(minions) {
+    const groups = new Map(); // target -> radius -> minions
+    for (const minion of minions) {
+      minion._arcPoint = null;
+      const target = minion._target;
+      if (!target) continue;
+
+      const radius = MINION_TYPES[minion.minionType].range * 0.6 + this.reachOf(target);
+      if (!groups.has(target)) groups.set(target, new Map());
+      const rings = groups.get(target);
+      if (!rings.has(radius)) rings.set(radius, []);
+      rings.get(radius).push(minion);
+    }
 
-      // Also check damage targets (heroes, towers)
-      for (const target of minion.damageTargets) {
-        if (!target.isAlive || !target.isAlive()) continue;
-        const d = myPos.distanceTo(target.getPosition());
-        if (d < nearestDist) {
-          nearestDist = d;
-          nearestEnemy = target;
+    for (const [target, rings] of groups) {
+      const center = target.getPosition();
+      for (const [radius, ring] of rings) {
+        let sumX = 0;
+        let sumZ = 0;
+        for (const minion of ring) {
+          const pos = minion.getPosition();
+          minion._arcAngle = Math.atan2(pos.x - center.x, pos.z - center.z);
+          sumX += Math.sin(minion._arcAngle);
+          sumZ += Math.cos(minion._arcAngle);
         }
+        const base = Math.atan2(sumX, sumZ);
+        ring.sort((a, b) => wrapAngle(a._arcAngle - base) - wrapAngle(b._arcAngle - base));
+
+        const step = ARC_SPACING / radius;
+        ring.forEach((minion, i) => {
+          const offset = Math.max(-Math.PI, Math.min(Math.PI, (i - (ring.length - 1) / 2) * step));
+          minion._arcPoint = {
+            x: center.x + Math.sin(base + offset) * radius,
+            z: center.z + Math.cos(base + offset) * radius,
+          };
+        });
       }
+    }
+  }
 
-      const engageRange = 15;
-      const fireRange = 10;
-
-      if (nearestEnemy && nearestDist < engageRange) {
-        // Engage enemy
-        this.doMinionEngage(minion, nearestEnemy, nearestDist, myPos, delta);
-      } else {
-        // March down lane
-        this.doMinionMarch(minion, myPos, delta);
-      }
+  /**
+   * Sync a minion's crowd agent to its body and point it at the minion's
+   * arc slot, or on down the lane. Move requests replan the corridor, so
+   * they are only made when the goal has shifted.
+   */
+  moveAgent(minion) {
+    const agent = minion.agent;
+    if (!agent) return;
+
+    // The agent leads its body; once they drift apart (blocked, knocked
+    // back) it jumps back. The nav mesh keeps hero clearance from walls, so
+    // a minion can stand off it; its agent then waits on the nearest point
+    // of the mesh. Teleporting drops the move target, so it is requested
+    // again below.
+    const pos = minion.getPosition();
+    const at = agent.position();
+    if (!isAgentValid(agent) || Math.hypot(at.x - pos.x, at.z - pos.z) > AGENT_DRIFT) {
+      agent.teleport(this.navSystem.closestPoint(pos));
+      minion._agentGoal = null;
+    }
 
-      minion.update(delta);
+    const goal = minion._arcPoint || this.nextLaneWaypoint(minion, pos, 6);
+    const last = minion._agentGoal;
+    if (!last || Math.hypot(goal.x - last.x, goal.z - last.z) > 1) {
+      agent.requestMoveTarget({ x: goal.x, y: 0, z: goal.z });
+      minion._agentGoal = { x: goal.x, z: goal.z };
     }
   }
 
-  doMinionEngage(minion, target, dist, myPos, delta) {
-    const targetPos = target.getPosition();
+  /**
+   * Extra attack reach for a target: structures are hit from outside
+   * their footprint, so range is measured from the edge.
+   */
+  reachOf(target) {
+    return this.registry.isKind(target, 'structure') ? STRUCTURE_REACH : 0;
+  }
 
-    // Direction to target
-    const dx = targetPos.x - myPos.x;
-    const dz = targetPos.z - myPos.z;
-    const toTarget = new THREE.Vector3(dx, 0, dz).normalize();
+  updateMinion(minion, delta) {
+    const myPos = minion.getPosition();
+    const type = MINION_TYPES[minion.minionType];
+    const target = minion._target;
+
+    if (minion.agent && isAgentValid(minion.agent)) {
+      this.doMinionCrowdMove(minion, type, myPos);
+    } else if (target) {
+      // Engage enemy
+      const dist = myPos.distanceTo(target.getPosition());
+      this.doMinionEngage(minion, type, target, dist, myPos, delta);
+    } else {
+      // March down lane
+      this.doMinionMarch(minion, myPos, delta);
+    }
 
-    // Get minion forward
-    const forward = new THREE.Vector3();
-    minion.getForwardVector(forward);
-    forward.setY(0).normalize();
+    minion.update(delta);
+  }
+
+  /**
+   * Follow the crowd agent, aiming a little ahead of it along its velocity;
+   * once on its arc slot (or caught up with a stalled agent) an engaged
+   * minion holds and turns to its target.
+   */
+  doMinionCrowdMove(minion, type, myPos) {
+    const target = minion._target;
+    const vel = minion.agent.velocity();
+    const speed = Math.hypot(vel.x, vel.z);
+    const at = minion.agent.position();
+    const gap = Math.hypot(at.x - myPos.x, at.z - myPos.z);
+    const slot = minion._arcPoint;
+    const onSlot = slot && Math.hypot(slot.x - myPos.x, slot.z - myPos.z) < 1.5;
+
+    if (target && (onSlot || (speed < 0.3 && gap < 0.5))) {
+      const angle = this.angleTo(minion, myPos, target.getPosition());
+      minion.setMoveInput(steerInput(angle), 0);
+    } else if (speed > 0.05 || gap > 0.3) {
+      const aim = { x: at.x + vel.x * 0.5, z: at.z + vel.z * 0.5 };
+      const angle = this.angleTo(minion, myPos, aim);
+      const pace = Math.min((speed + gap) / minion.moveSpeed, MARCH_THROTTLE);
+      minion.setMoveInput(steerInput(angle), Math.abs(angle) < 1.5 ? pace : 0.2);
+    } else {
+      minion.setMoveInput(0, 0);
+    }
 
-    // Calculate turn
-    const cross = forward.x * toTarget.z - forward.z * toTarget.x;
-    const dot = forward.dot(toTarget);
-    const angle = Math.atan2(cross, dot);
+    if (target) this.tryAttack(minion, type, target, myPos);
+  }
 
-    const steerX = Math.max(-1, Math.min(1, angle * 3));
+  doMinionEngage(minion, type, target, dist, myPos, delta) {
+    const reach = type.range + this.reachOf(target);
+    const angle = this.angleTo(minion, myPos, target.getPosition());
+    const steerX = steerInput(angle);
 
-    if (dist > 8) {
+    if (dist > reach * 2 / 3) {
       // Move toward
       minion.setMoveInput(steerX, Math.abs(angle) < 1.5 ? 0.6 : 0.2);
-    } else if (dist > 4) {
+    } else if (dist > reach / 3) {
       // Slow approach
       minion.setMoveInput(steerX, 0.2);
     } else {
@@ -243,8 +506,21 @@ export class MinionWave {
       minion.setMoveInput(steerX, 0);
     }
 
-    // Fire when aimed
-    if (Math.abs(angle) < 0.4 && dist < 12) {
+    this.tryAttack(minion, type, target, myPos);
+  }
+
+  /**
+   * Strike or fire when facing the target and within reach.
+   */
+  tryAttack(minion, type, target, myPos) {
+    const targetPos = target.getPosition();
+    const dist = myPos.distanceTo(targetPos);
+    if (dist >= type.range + this.reachOf(target)) return;
+    if (Math.abs(this.angleTo(minion, myPos, targetPos)) >= 0.4) return;
+
+    if (type.attack === 'melee') {
+      minion.strike(target);
+    } else {
       minion.fire();
     }
   }
@@ -255,60 +531,70 @@ export class MinionWave {
       return;
     }
 
-    // Get current waypoint
-    let wpIndex = minion._laneWaypointIndex;
-    if (wpIndex >= minion._lanePath.length) {
-      wpIndex = minion._lanePath.length - 1;
-    }
-
-    const wp = minion._lanePath[wpIndex];
-    const dx = wp.x - myPos.x;
-    const dz = wp.z - myPos.z;
-    const dist = Math.sqrt(dx * dx + dz * dz);
+    const wp = this.nextLaneWaypoint(minion, myPos, 4);
+    const angle = this.angleTo(minion, myPos, wp);
+    minion.setMoveInput(steerInput(angle), Math.abs(angle) < 1.5 ? MARCH_THROTTLE : 0.3);
+  }
 
-    // Advance waypoint if close enough
-    if (dist < 4 && wpIndex < minion._lanePath.length - 1) {
-      minion._laneWaypointIndex++;
+  /**
+   * The lane waypoint the minion is heading for, moving on to the next one
+   * once within `arriveDist` of it.
+   */
+  nextLaneWaypoint(minion, myPos, arriveDist) {
+    const path = minion._lanePath;
+    let wpIndex = Math.min(minion._laneWaypointIndex, path.length - 1);
+    const wp = path[wpIndex];
+    const dist = Math.hypot(wp.x - myPos.x, wp.z - myPos.z);
+    if (dist < arriveDist && wpIndex < path.length - 1) {
+      wpIndex++;
+      minion._laneWaypointIndex = wpIndex;
     }
+    return path[wpIndex];
+  }
 
-    // Steer toward waypoint
-    const toWP = new THREE.Vector3(dx, 0, dz).normalize();
+  /**
+   * Signed angle (radians) from the minion's facing to `point` on the
+   * ground plane, in the sense steerInput() turns toward.
+   */
+  angleTo(minion, myPos, point) {
+    const toPoint = new THREE.Vector3(point.x - myPos.x, 0, point.z - myPos.z).normalize();
     const forward = new THREE.Vector3();
     minion.getForwardVector(forward);
     forward.setY(0).normalize();
 
-    const cross = forward.x * toWP.z - forward.z * toWP.x;
-    const dot = forward.dot(toWP);
-    const angle = Math.atan2(cross, dot);
-
-    const steerX = Math.max(-1, Math.min(1, angle * 3));
-    const moveY = Math.abs(angle) < 1.5 ? 0.7 : 0.3;
-
-    minion.setMoveInput(steerX, moveY);
+    const cross = forward.x * toPoint.z - forward.z * toPoint.x;
+    return Math.atan2(cross, forward.dot(toPoint));
   }
 
   /**
-   * Get all alive minions for a team.
+   * Drop queued spawns and remove every minion, pooled ones included.
    */
-  getAliveMinions(team) {
-    const minions = team === 'blue' ? this.blueMinions : this.redMinions;
-    return minions.filter(m => m.isAlive());
-  }
+  dispose() {
+    this.spawnQueue.length = 0;
 
-  /**
-   * Get all alive minions from both teams.
-   */
-  getAllAliveMinions() {
-    return [
-      ...this.blueMinions.filter(m => m.isAlive()),
-      ...this.redMinions.filter(m => m.isAlive()),
-    ];
-  }
+    if (this.crowd) {
+      this.crowd.destroy();
+      this.crowd = null;
+    }
 
-  dispose() {
-    for (const m of this.blueMinions) m.dispose();
-    for (const m of this.redMinions) m.dispose();
-    this.blueMinions.length = 0;
-    this.redMinions.length = 0;
+    for (const m of this.minions) m.dispose();
+    this.minions.length = 0;
+
+    for (const pool of Object.values(this.pools)) {
+      for (const m of pool) m.dispose();
+    }
+    this.pools = {};
   }
 }
+
+function isAgentValid(agent) {
+  return agent.state() !== Detour.DT_CROWDAGENT_STATE_INVALID;
+}
+
+function steerInput(angle) {
+  return Math.max(-1, Math.min(1, angle * 3));
+}
+
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
@@ -1,44 +1,133 @@
 import * as THREE from 'three';
 import RAPIER from '@dimforge/rapier3d-compat';
+import { DamageEvent } from './Damage.js';
+import { PROJECTILE_TYPES } from './ProjectileTypes.js';
+import { collisionGroups } from './CollisionGroups.js';
 
+const ZERO = { x: 0, y: 0, z: 0 };
+const IDENTITY = { x: 0, y: 0, z: 0, w: 1 };
+
+// Scratch vectors for per-tick steering math
+const _desired = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+
+/**
+ * A shot in flight. Its archetype (see ProjectileTypes.js) decides how it
+ * moves and what happens on impact; the shooter sets `damage`, `owner` and,
+ * for homing shots, `homingTarget`. A shot belongs to its shooter's team:
+ * it flies through allies and damages units of any other team.
+ *
+ * Shots are pooled: shooters get one from ProjectilePool.acquire(), and
+ * destroy() hands it back. The mesh, physics body and collider are built
+ * once and reset by launch() on every reuse.
+ */
 export class Projectile {
-  constructor(scene, world, position, direction, targetManager = null, damageTargets = []) {
-    this.scene = scene;
-    this.world = world;
-    this.targetManager = targetManager;
-    this.damageTargets = damageTargets; // vehicles that can be damaged by this projectile
-    this.damage = 10;
-    this.alive = true;
+  /**
+   * @param {ProjectilePool} pool - owner of this shot and its shared geometry/materials
+   */
+  constructor(pool) {
+    this.pool = pool;
+    this.scene = pool.scene;
+    this.world = pool.world;
+    this.alive = false;
     this.lifetime = 3; // seconds
-    this.age = 0;
-    this.speed = 50;
+    this.team = null; // shooter's team, with matching collision groups
 
-    // Visual
-    const geometry = new THREE.SphereGeometry(0.4, 8, 8);
-    const material = new THREE.MeshBasicMaterial({ color: 0xffff00 });
-    this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.position.copy(position);
-    this.scene.add(this.mesh);
-
-    // Store direction for movement
-    this.velocity = direction.clone().multiplyScalar(this.speed);
+    // Visual — geometry shared by the pool, scaled to the shot radius
+    this.mesh = new THREE.Mesh(pool.geometry, pool.getMaterial(0xffffff));
 
-    // Physics body
+    // Physics body, parked (disabled) whenever the shot is in the pool
     const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
-      .setTranslation(position.x, position.y, position.z)
-      .setLinvel(this.velocity.x, this.velocity.y, this.velocity.z)
+      .setEnabled(false)
       .setCcdEnabled(true); // Continuous collision for fast objects
-
     this.body = this.world.createRigidBody(bodyDesc);
 
-    const colliderDesc = RAPIER.ColliderDesc.ball(0.4)
+    const colliderDesc = RAPIER.ColliderDesc.ball(1)
       .setRestitution(0)
       .setFriction(0)
       .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS);
     this.collider = this.world.createCollider(colliderDesc, this.body);
+    this.queryShape = null; // hit sphere for intersection tests, rebuilt on radius change
+
+    this.velocity = new THREE.Vector3();
+    this.prevPosition = new THREE.Vector3(); // previous position for the trail effect
+    this.hitUnits = new Set(); // units already damaged (piercing shots pass through)
+    this.touching = []; // colliders overlapping the shot this tick
+  }
+
+  /**
+   * (Re)start the shot from `position`, clearing everything left over from
+   * its previous flight.
+   * @param {THREE.Vector3} position
+   * @param {THREE.Vector3} direction - normalized launch direction
+   * @param {string} team - shooter's team
+   * @param {string|Object} [type='cannon'] - key of PROJECTILE_TYPES, or a definition
+   * @param {Object} [targetManager] - practice targets (bullseyes)
+   */
+  launch(position, direction, team, type = 'cannon', targetManager = null) {
+    this.targetManager = targetManager;
+    if (this.team !== team) {
+      this.team = team;
+      this.groups = collisionGroups('projectile', team);
+      this.collider.setCollisionGroups(this.groups);
+    }
+    this.type = typeof type === 'string' ? PROJECTILE_TYPES[type] : type;
+    this.damage = 10;
+    this.damageType = this.type.damageType || 'kinetic'; // see DAMAGE_TYPES
+    this.owner = null; // unit that fired this (set by the shooter) — credited with kills
+    this.homingTarget = null; // unit a homing shot steers toward (set by the shooter)
+    this.alive = true;
+    this.age = 0;
+    this.speed = this.type.speed;
+    this.hitUnits.clear();
+
+    if (this.radius !== this.type.radius) {
+      this.radius = this.type.radius;
+      this.collider.setRadius(this.radius);
+      this.queryShape = new RAPIER.Ball(this.radius + 0.1);
+    }
+
+    this.mesh.material = this.pool.getMaterial(this.type.color);
+    this.mesh.scale.setScalar(this.radius);
+    this.mesh.position.copy(position);
+    this.scene.add(this.mesh);
+
+    // Only ballistic shots feel gravity
+    this.velocity.copy(direction).multiplyScalar(this.speed);
+    this.body.setTranslation(position, false);
+    this.body.setLinvel(this.velocity, false);
+    this.body.setAngvel(ZERO, false);
+    this.body.setGravityScale(this.type.motion === 'ballistic' ? 1 : 0, false);
+    this.body.setEnabled(true);
+    this.body.wakeUp();
+
+    this.prevPosition.copy(position);
+  }
+
+  /**
+   * Launch direction for a ballistic shot at `speed` to land on `to`: the
+   * low arc, or 45° (longest reach) when `to` is out of range.
+   * @param {THREE.Vector3} from
+   * @param {THREE.Vector3} to
+   * @param {number} speed
+   * @param {number} gravity - downward acceleration (positive)
+   * @returns {THREE.Vector3}
+   */
+  static ballisticDirection(from, to, speed, gravity) {
+    const horizontal = new THREE.Vector3(to.x - from.x, 0, to.z - from.z);
+    const x = horizontal.length();
+    const y = to.y - from.y;
+    if (x < 0.001) return new THREE.Vector3(0, Math.sign(y) || -1, 0);
+
+    const v2 = speed * speed;
+    const disc = v2 * v2 - gravity * (gravity * x * x + 2 * y * v2);
+    const angle = disc < 0
+      ? Math.PI / 4
+      : Math.atan((v2 - Math.sqrt(disc)) / (gravity * x));
 
-    // Track previous position for trail effect
-    this.prevPosition = position.clone();
+    return horizontal.divideScalar(x)
+      .multiplyScalar(Math.cos(angle))
+      .setY(Math.sin(angle));
   }
 
   update(delta) {
@@ -46,100 +135,149 @@ export class Projectile {
 
     this.age += delta;
 
+    if (this.type.motion === 'homing') this.steer(delta);
+
     // Update visual from physics
     const pos = this.body.translation();
     this.mesh.position.set(pos.x, pos.y, pos.z);
 
-    // Check for collisions with targets and vehicles
-    if (this.targetManager || this.damageTargets.length > 0) {
-      this.checkTargetCollisions();
-    }
+    this.checkTargetCollisions();
+    if (!this.alive) return;
 
-    // Check lifetime or if hit ground
-    if (this.age > this.lifetime || pos.y < -2) {
+    // Ballistic shots detonate on the ground; anything else just expires
+    if (this.type.motion === 'ballistic' && pos.y <= this.radius) {
+      this.impact(pos, null);
+    } else if (this.age > this.lifetime || pos.y < -2) {
       this.destroy();
     }
 
     this.prevPosition.set(pos.x, pos.y, pos.z);
   }
 
+  /**
+   * Turn toward the homing target by at most turnRate * delta.
+   */
+  steer(delta) {
+    const target = this.homingTarget;
+    if (!target || !target.isAlive()) return;
+
+    const pos = this.body.translation();
+    const aim = target.body ? target.body.translation() : target.getPosition();
+    const desired = _desired.set(aim.x - pos.x, aim.y - pos.y, aim.z - pos.z);
+    if (desired.lengthSq() < 0.0001) return;
+    desired.normalize();
+
+    const current = this.velocity.normalize();
+    const angle = current.angleTo(desired);
+    const maxTurn = this.type.turnRate * delta;
+    if (angle <= maxTurn) {
+      current.copy(desired);
+    } else {
+      current.applyAxisAngle(_axis.crossVectors(current, desired).normalize(), maxTurn);
+    }
+
+    this.velocity.multiplyScalar(this.speed);
+    this.body.setLinvel(this.velocity, true);
+  }
+
+  createDamageEvent(amount, tags) {
+    return new DamageEvent(amount, {
+      source: this.owner,
+      type: this.damageType,
+      tags,
+    });
+  }
+
   checkTargetCollisions() {
     // Use Rapier's intersection test
     const pos = this.body.translation();
 
-    // Cast a small sphere to check for intersections
-    const shape = new RAPIER.Ball(0.5);
-    const shapePos = { x: pos.x, y: pos.y, z: pos.z };
-    const shapeRot = { x: 0, y: 0, z: 0, w: 1 };
-
-    this.world.intersectionsWithShape(shapePos, shapeRot, shape, (collider) => {
-      // Skip self
-      if (collider.handle === this.collider.handle) return true;
+    // Test a sphere slightly larger than the shot for intersections. The
+    // shot's collision groups limit the query to terrain and enemies (never
+    // itself or its shooter). Hits are handled after the query: the world
+    // can't be modified (e.g. this body disabled on release) from inside
+    // its callback.
+    const touching = this.touching;
+    touching.length = 0;
+    this.world.intersectionsWithShape(pos, IDENTITY, this.queryShape, (collider) => {
+      touching.push(collider);
+      return true;
+    }, undefined, this.groups);
 
+    for (const collider of touching) {
       // Check if we hit a target (bullseye targets)
       if (this.targetManager && this.targetManager.checkHit(collider.handle)) {
         this.createHitEffect(pos);
         this.destroy();
-        return false; // Stop iterating
+        return;
       }
 
-      // Check if we hit a damageable vehicle
-      for (const vehicle of this.damageTargets) {
-        if (vehicle.isAlive() && vehicle.getColliderHandle() === collider.handle) {
-          vehicle.takeDamage(this.damage);
+      // Check if we hit an enemy unit; dying units no longer stop shots
+      const vehicle = this.pool.registry.getByCollider(collider.handle);
+      if (vehicle) {
+        if (vehicle.team === this.team || !vehicle.isAlive()) continue;
+        if (this.hitUnits.has(vehicle)) continue; // already pierced
+
+        this.hitUnits.add(vehicle);
+        vehicle.takeDamage(this.createDamageEvent(this.damage, ['projectile']));
+
+        // Piercing shots carry on until they run out of targets
+        if (this.hitUnits.size <= (this.type.pierce || 0)) {
           this.createHitEffect(pos);
-          this.destroy();
-          return false; // Stop iterating
+          continue;
         }
+        this.impact(pos, vehicle);
+        return;
       }
 
       // Check if we hit terrain or rocks (fixed bodies)
       const parentBody = collider.parent();
       if (parentBody && parentBody.isFixed()) {
-        this.createHitEffect(pos);
-        this.destroy();
-        return false;
+        this.impact(pos, null);
+        return;
       }
-
-      return true; // Continue iterating
-    });
+    }
   }
 
-  createHitEffect(position) {
-    // Simple hit flash effect
-    const flashGeometry = new THREE.SphereGeometry(1.2, 8, 8);
-    const flashMaterial = new THREE.MeshBasicMaterial({
-      color: 0xff8800,
-      transparent: true,
-      opacity: 1
-    });
-    const flash = new THREE.Mesh(flashGeometry, flashMaterial);
-    flash.position.set(position.x, position.y, position.z);
-    this.scene.add(flash);
-
-    // Animate and remove
-    let scale = 1;
-    const animate = () => {
-      scale += 0.3;
-      flash.scale.setScalar(scale);
-      flashMaterial.opacity -= 0.15;
-
-      if (flashMaterial.opacity > 0) {
-        requestAnimationFrame(animate);
-      } else {
-        this.scene.remove(flash);
-        flashGeometry.dispose();
-        flashMaterial.dispose();
+  /**
+   * End of flight: splash damage around `position` (sparing `directHit`,
+   * which already took full damage), hit effect, destroy.
+   */
+  impact(position, directHit) {
+    const splash = this.type.splash;
+    if (splash) {
+      const center = new THREE.Vector3(position.x, position.y, position.z);
+      const nearby = this.pool.registry.query({ enemyOf: this.team, near: center, radius: splash.radius });
+      for (const unit of nearby) {
+        if (unit === directHit) continue;
+        const dist = center.distanceTo(unit.getPosition());
+        if (dist > splash.radius) continue;
+
+        const factor = 1 - (1 - splash.minFactor) * (dist / splash.radius);
+        unit.takeDamage(this.createDamageEvent(this.damage * factor, ['projectile', 'splash']));
       }
-    };
-    requestAnimationFrame(animate);
+    }
+
+    this.createHitEffect(position, splash ? splash.radius / 2 : 1.2);
+    this.destroy();
+  }
+
+  createHitEffect(position, size = 1.2) {
+    this.pool.createHitEffect(position, size);
   }
 
   destroy() {
     if (!this.alive) return;
 
     this.alive = false;
-    this.scene.remove(this.mesh);
+    this.homingTarget = null;
+    this.pool.release(this);
+  }
+
+  /**
+   * Free the physics body for good; only the pool calls this.
+   */
+  dispose() {
     this.world.removeRigidBody(this.body);
   }
 }
@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+import { Projectile } from './Projectile.js';
+
+/**
+ * Recycles projectiles and their hit flashes for the whole match.
+ *
+ * Every shooter fires through acquire() instead of constructing a
+ * Projectile; a shot that ends goes back on the free list with its mesh
+ * and physics body intact, so after warm-up firing allocates nothing. All
+ * shots share one unit sphere geometry (scaled per archetype) and one
+ * material per color. Hit flashes are pooled the same way and animated by
+ * update() on the game clock instead of their own requestAnimationFrame loop.
+ *
+ * A shot damages whatever unit of another team it touches, looked up by
+ * collider in the match's EntityRegistry. Collision groups
+ * (CollisionGroups.js) keep allied colliders out of a shot's way entirely.
+ *
+ * `created` / `fired` (and the hit-flash equivalents) count allocations
+ * against uses, for the simulate summary.
+ */
+export class ProjectilePool {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {RAPIER.World} world
+   */
+  constructor(scene, world) {
+    this.scene = scene;
+    this.world = world;
+
+    // Shared by every shot and flash; meshes scale it to their radius
+    this.geometry = new THREE.SphereGeometry(1, 8, 8);
+    this.materials = new Map(); // color -> MeshBasicMaterial
+
+    this.registry = null; // match EntityRegistry, for hits by collider (set externally)
+
+    // Released shots, oldest first — reusing the oldest keeps a shot that
+    // ended this tick from reappearing elsewhere on the same tick
+    this.free = [];
+
+    // Hit flashes: { mesh, size, age } — each owns its material (opacity fades)
+    this.flashes = [];
+    this.freeFlashes = [];
+    this.flashDuration = 0.12; // seconds
+
+    this.created = 0;
+    this.fired = 0;
+    this.flashesCreated = 0;
+    this.flashesShown = 0;
+
+    // Headless simulation: skip hit flashes, nothing draws them (set externally)
+    this.headless = false;
+  }
+
+  /**
+   * Launch a shot, reusing a released one when available.
+   * @param {THREE.Vector3} position
+   * @param {THREE.Vector3} direction - normalized launch direction
+   * @param {string} team - shooter's team; the shot passes through and spares it
+   * @param {string|Object} [type='cannon'] - key of PROJECTILE_TYPES, or a definition
+   * @param {Object} [targetManager] - practice targets (bullseyes)
+   * @returns {Projectile}
+   */
+  acquire(position, direction, team, type = 'cannon', targetManager = null) {
+    let projectile = this.free.shift();
+    if (!projectile) {
+      projectile = new Projectile(this);
+      this.created++;
+    }
+    this.fired++;
+    projectile.launch(position, direction, team, type, targetManager);
+    return projectile;
+  }
+
+  /**
+   * Take a finished shot back; called from Projectile.destroy().
+   */
+  release(projectile) {
+    this.scene.remove(projectile.mesh);
+    projectile.body.setEnabled(false);
+    this.free.push(projectile);
+  }
+
+  getMaterial(color) {
+    let material = this.materials.get(color);
+    if (!material) {
+      material = new THREE.MeshBasicMaterial({ color });
+      this.materials.set(color, material);
+    }
+    return material;
+  }
+
+  /**
+   * Expanding, fading flash where a shot ended.
+   * @param {{x: number, y: number, z: number}} position
+   * @param {number} [size=1.2] - starting radius
+   */
+  createHitEffect(position, size = 1.2) {
+    if (this.headless) return;
+
+    let flash = this.freeFlashes.pop();
+    if (!flash) {
+      const material = new THREE.MeshBasicMaterial({
+        color: 0xff8800,
+        transparent: true,
+        opacity: 1
+      });
+      flash = { mesh: new THREE.Mesh(this.geometry, material), size: 1, age: 0 };
+      this.flashesCreated++;
+    }
+    this.flashesShown++;
+
+    flash.size = size;
+    flash.age = 0;
+    flash.mesh.position.set(position.x, position.y, position.z);
+    flash.mesh.scale.setScalar(size);
+    flash.mesh.material.opacity = 1;
+    this.scene.add(flash.mesh);
+    this.flashes.push(flash);
+  }
+
+  /**
+   * Animate hit flashes; the match calls this every tick.
+   */
+  update(delta) {
+    if (this.flashes.length === 0) return;
+
+    let kept = 0;
+    for (const flash of this.flashes) {
+      flash.age += delta;
+      const t = flash.age / this.flashDuration;
+      if (t >= 1) {
+        this.scene.remove(flash.mesh);
+        this.freeFlashes.push(flash);
+        continue;
+      }
+      flash.mesh.scale.setScalar(flash.size * (1 + 2 * t));
+      flash.mesh.material.opacity = 1 - t;
+      this.flashes[kept++] = flash;
+    }
+    this.flashes.length = kept;
+  }
+
+  dispose() {
+    for (const projectile of this.free) projectile.dispose();
+    this.free.length = 0;
+
+    for (const flash of [...this.flashes, ...this.freeFlashes]) {
+      this.scene.remove(flash.mesh);
+      flash.mesh.material.dispose();
+    }
+    this.flashes.length = 0;
+    this.freeFlashes.length = 0;
+
+    for (const material of this.materials.values()) material.dispose();
+    this.materials.clear();
+    this.geometry.dispose();
+  }
+}
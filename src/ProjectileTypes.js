@@ -0,0 +1,64 @@
+/**
+ * Projectile archetypes. Shooters pick one by key when they construct a
+ * Projectile; a definition object (e.g. a spread of one with a team color)
+ * works too.
+ *
+ * - motion: how the shot flies
+ *     'ballistic' — falls under world gravity; detonates on the ground
+ *     'straight'  — flies level, unaffected by gravity
+ *     'homing'    — straight, but steers toward `homingTarget` at `turnRate` rad/s
+ * - pierce: extra units the shot passes through before stopping (0 = single target)
+ * - splash: { radius, minFactor } — on impact every enemy unit within
+ *   `radius` takes damage falling off linearly to `minFactor` at the edge;
+ *   a unit hit directly takes full damage
+ * - radius / color: visual and hit sphere
+ * - damageType: default DAMAGE_TYPES entry for the shot
+ */
+export const PROJECTILE_TYPES = {
+  cannon: {
+    motion: 'ballistic',
+    speed: 50,
+    radius: 0.4,
+    color: 0xffff00,
+    damageType: 'kinetic',
+  },
+  rifle: {
+    motion: 'ballistic',
+    speed: 50,
+    radius: 0.4,
+    color: 0xffff00,
+    damageType: 'kinetic',
+  },
+  siege_shot: {
+    motion: 'straight',
+    speed: 35,
+    radius: 1.0,
+    color: 0xff8800,
+    damageType: 'explosive',
+    pierce: 2,
+  },
+  artillery_shell: {
+    motion: 'ballistic',
+    speed: 30,
+    radius: 0.7,
+    color: 0xff6600,
+    damageType: 'explosive',
+    splash: { radius: 5, minFactor: 0.3 },
+  },
+  minion_shell: {
+    motion: 'straight',
+    speed: 30,
+    radius: 0.5,
+    color: 0xff8844,
+    damageType: 'explosive',
+    splash: { radius: 3, minFactor: 0.5 },
+  },
+  tower_bolt: {
+    motion: 'homing',
+    speed: 40,
+    turnRate: 4,
+    radius: 0.6,
+    color: 0xffffff,
+    damageType: 'energy',
+  },
+};
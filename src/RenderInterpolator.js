@@ -0,0 +1,79 @@
+/**
+ * Smooths rendering between fixed simulation ticks.
+ *
+ * After every tick, capture() records the transform of each moving object.
+ * Before a frame is drawn, apply(alpha) blends every object between its
+ * previous and current tick transforms; restore() puts the exact tick
+ * transforms back before the simulation runs again, so game logic never
+ * reads blended positions.
+ */
+export class RenderInterpolator {
+  /**
+   * @param {Function} getObjects - returns the Object3Ds to interpolate this tick
+   */
+  constructor(getObjects) {
+    this.getObjects = getObjects;
+    this.states = new Map(); // Object3D -> { prevPos, prevQuat, currPos, currQuat, tick }
+    this.tick = 0;
+
+    // Moves longer than this in one tick (respawns, teleports) snap instead of sliding
+    this.snapDistance = 10;
+  }
+
+  capture() {
+    this.tick++;
+
+    for (const object of this.getObjects()) {
+      let state = this.states.get(object);
+      if (!state) {
+        state = {
+          prevPos: object.position.clone(),
+          prevQuat: object.quaternion.clone(),
+          currPos: object.position.clone(),
+          currQuat: object.quaternion.clone(),
+          tick: this.tick,
+        };
+        this.states.set(object, state);
+        continue;
+      }
+
+      state.prevPos.copy(state.currPos);
+      state.prevQuat.copy(state.currQuat);
+      state.currPos.copy(object.position);
+      state.currQuat.copy(object.quaternion);
+      state.tick = this.tick;
+
+      if (state.prevPos.distanceTo(state.currPos) > this.snapDistance) {
+        state.prevPos.copy(state.currPos);
+        state.prevQuat.copy(state.currQuat);
+      }
+    }
+
+    // Forget objects that were not reported this tick (dead, removed)
+    for (const [object, state] of this.states) {
+      if (state.tick !== this.tick) this.states.delete(object);
+    }
+  }
+
+  /**
+   * Blend every tracked object between its last two tick transforms.
+   * @param {number} alpha - 0 = previous tick, 1 = current tick
+   */
+  apply(alpha) {
+    for (const [object, state] of this.states) {
+      object.position.lerpVectors(state.prevPos, state.currPos, alpha);
+      object.quaternion.slerpQuaternions(state.prevQuat, state.currQuat, alpha);
+    }
+  }
+
+  restore() {
+    for (const [object, state] of this.states) {
+      object.position.copy(state.currPos);
+      object.quaternion.copy(state.currQuat);
+    }
+  }
+
+  clear() {
+    this.states.clear();
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Game-clock timers.
+ *
+ * A replacement for setTimeout in gameplay code: callbacks fire when
+ * simulation time (advanced by update(delta) once per tick) reaches their
+ * due time. Timers therefore stop while the match is paused, follow time
+ * scaling and replay identically. Timers due on the same tick fire in the
+ * order they were scheduled.
+ */
+export class Scheduler {
+  constructor() {
+    this.time = 0;
+    this.timers = []; // sorted by due time
+    this.nextId = 1;
+  }
+
+  /**
+   * Run `callback` after `seconds` of simulation time.
+   * @returns {number} timer id for cancel()
+   */
+  after(seconds, callback) {
+    const timer = { id: this.nextId++, due: this.time + seconds, callback };
+
+    // Insert after every timer due at or before this one
+    let i = this.timers.length;
+    while (i > 0 && this.timers[i - 1].due > timer.due) i--;
+    this.timers.splice(i, 0, timer);
+
+    return timer.id;
+  }
+
+  cancel(id) {
+    this.timers = this.timers.filter(t => t.id !== id);
+  }
+
+  update(delta) {
+    this.time += delta;
+
+    while (this.timers.length > 0 && this.timers[0].due <= this.time) {
+      const timer = this.timers.shift();
+      timer.callback();
+    }
+  }
+
+  clear() {
+    this.timers.length = 0;
+  }
+}
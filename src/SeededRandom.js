@@ -0,0 +1,46 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32).
+ *
+ * The match owns one instance and hands it to everything that rolls dice
+ * during play — map generation, abilities — so replaying a seed rebuilds
+ * the same map and the same rolls. Purely cosmetic randomness (smoke
+ * particles) draws from a fork() so rendering never shifts gameplay rolls.
+ */
+export class SeededRandom {
+  /**
+   * @param {number} [seed] - 32-bit unsigned seed; a fresh one is picked if omitted
+   */
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * @returns {number} float in [0, 1), like Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * @returns {number} float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Independent generator seeded from this one's next roll.
+   */
+  fork() {
+    return new SeededRandom(Math.floor(this.next() * 0x100000000));
+  }
+}
@@ -0,0 +1,50 @@
+import { SHOP_ITEMS } from './ShopItems.js';
+
+/**
+ * Base shop. Heroes can buy while standing in their team's spawn pad area
+ * (see MOBAMap.createBase); gold comes from the match GoldEconomy and
+ * bought items go into the hero's Inventory.
+ */
+export class Shop {
+  constructor(mobaMap, economy, items = SHOP_ITEMS) {
+    this.mobaMap = mobaMap;
+    this.economy = economy;
+    this.items = items;
+
+    // How far from the spawn pad center a hero may shop (pad radius is 5m)
+    this.range = 14;
+  }
+
+  getItem(id) {
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  isInRange(hero, team) {
+    if (!hero.isAlive()) return false;
+    const pad = this.mobaMap.spawnPads[team];
+    const pos = hero.getPosition();
+    const dx = pos.x - pad.x;
+    const dz = pos.z - pad.z;
+    return dx * dx + dz * dz <= this.range * this.range;
+  }
+
+  canBuy(hero, team, item) {
+    return this.isInRange(hero, team) &&
+      !hero.inventory.isFull() &&
+      this.economy.getGold(hero) >= item.cost;
+  }
+
+  /**
+   * Buy an item for `hero` if it is in range, has a free slot and can pay.
+   * @returns {boolean} whether the purchase went through
+   */
+  buy(hero, team, itemId) {
+    const item = this.getItem(itemId);
+    if (!item || !this.canBuy(hero, team, item)) return false;
+
+    this.economy.spend(hero, item.cost);
+    hero.inventory.add(item);
+    console.log(`${team} bought ${item.name}`);
+    return true;
+  }
+}
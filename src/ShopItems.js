@@ -0,0 +1,50 @@
+/**
+ * Items sold in the base shop.
+ *
+ * Each item is plain data: its stat modifiers are added to the owning
+ * hero's StatModifiers stack while it sits in the inventory.
+ * `flat` adds to the base value, `mult` scales it (fireRate is seconds
+ * between shots, so a mult below 1 fires faster).
+ */
+export const SHOP_ITEMS = [
+  {
+    id: 'armor_plating',
+    name: 'Armor Plating',
+    description: '+20 max health',
+    cost: 300,
+    icon: '▣',
+    modifiers: [{ stat: 'maxHealth', flat: 20 }],
+  },
+  {
+    id: 'reload_servos',
+    name: 'Reload Servos',
+    description: '15% faster reload',
+    cost: 350,
+    icon: '↻',
+    modifiers: [{ stat: 'fireRate', mult: 0.85 }],
+  },
+  {
+    id: 'hull_repair_kit',
+    name: 'Hull Repair Kit',
+    description: 'Repairs 1 health per second',
+    cost: 250,
+    icon: '✚',
+    modifiers: [{ stat: 'healthRegen', flat: 1 }],
+  },
+  {
+    id: 'engine_upgrade',
+    name: 'Engine Upgrade',
+    description: '+12% move speed',
+    cost: 250,
+    icon: '➤',
+    modifiers: [{ stat: 'moveSpeed', mult: 1.12 }],
+  },
+  {
+    id: 'tungsten_shells',
+    name: 'Tungsten Shells',
+    description: '+3 projectile damage',
+    cost: 400,
+    icon: '▲',
+    modifiers: [{ stat: 'projectileDamage', flat: 3 }],
+  },
+];
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { SeededRandom } from './SeededRandom.js';
 
 /**
  * Smoke column effect for destroyed vehicles.
@@ -6,8 +7,15 @@ import * as THREE from 'three';
  * Self-cleaning: alive becomes false once all particles have faded.
  */
 export class SmokeEffect {
-  constructor(scene, position, scale = 1) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {THREE.Vector3} position
+   * @param {number} [scale=1] - size relative to a 6m vehicle
+   * @param {SeededRandom} [rng] - cosmetic RNG stream for particle variation
+   */
+  constructor(scene, position, scale = 1, rng = new SeededRandom()) {
     this.scene = scene;
+    this.rng = rng;
     this.basePosition = position.clone();
     this.scale = scale;
     this.alive = true;
@@ -67,15 +75,15 @@ export class SmokeEffect {
 
     // Random offset from base position (scaled with vehicle size)
     const s = this.scale;
-    const ox = (Math.random() - 0.5) * 1.0 * s;
-    const oz = (Math.random() - 0.5) * 1.0 * s;
+    const ox = (this.rng.next() - 0.5) * 1.0 * s;
+    const oz = (this.rng.next() - 0.5) * 1.0 * s;
     sprite.position.set(
       this.basePosition.x + ox,
       this.basePosition.y + 0.5 * s,
       this.basePosition.z + oz
     );
 
-    const startScale = (0.5 + Math.random() * 0.5) * s;
+    const startScale = (0.5 + this.rng.next() * 0.5) * s;
     sprite.scale.setScalar(startScale);
 
     this.scene.add(sprite);
@@ -85,12 +93,12 @@ export class SmokeEffect {
       material,
       active: true,
       age: 0,
-      maxAge: 3 + Math.random() * 2,               // 3-5 seconds
-      velocityY: (2 + Math.random() * 2) * s,       // upward speed scales
-      driftX: (Math.random() - 0.5) * 0.6 * s,      // horizontal wander scales
-      driftZ: (Math.random() - 0.5) * 0.6 * s,
-      growRate: (0.5 + Math.random() * 0.5) * s,    // expansion rate scales
-      startOpacity: 0.5 + Math.random() * 0.15
+      maxAge: 3 + this.rng.next() * 2,               // 3-5 seconds
+      velocityY: (2 + this.rng.next() * 2) * s,       // upward speed scales
+      driftX: (this.rng.next() - 0.5) * 0.6 * s,      // horizontal wander scales
+      driftZ: (this.rng.next() - 0.5) * 0.6 * s,
+      growRate: (0.5 + this.rng.next() * 0.5) * s,    // expansion rate scales
+      startOpacity: 0.5 + this.rng.next() * 0.15
     });
   }
 
@@ -0,0 +1,65 @@
+/**
+ * Uniform grid over the ground plane (XZ) for range queries.
+ *
+ * Items are bucketed by the cell their position falls in; a radius query
+ * only visits the cells overlapping the circle's bounding square. Results
+ * are candidates — callers check the exact distance. The grid is rebuilt
+ * rather than updated in place: clear() then insert() everything, once per
+ * tick. Cell arrays are kept across clears, so rebuilding allocates nothing
+ * once the occupied area has been seen.
+ *
+ * cellSize should be on the order of the common query radius; too small
+ * and a query visits many empty cells, too large and each cell holds most
+ * of the map.
+ */
+export class SpatialHash {
+  /**
+   * @param {number} [cellSize=10] - world units per cell side
+   */
+  constructor(cellSize = 10) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // cell key -> items
+  }
+
+  clear() {
+    for (const cell of this.cells.values()) cell.length = 0;
+  }
+
+  insert(item, x, z) {
+    const key = cellKey(this.cellCoord(x), this.cellCoord(z));
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = [];
+      this.cells.set(key, cell);
+    }
+    cell.push(item);
+  }
+
+  /**
+   * Call `callback(item)` for every item in a cell overlapping the circle.
+   * The radius must be finite: the cell range is walked one cell at a time.
+   */
+  forEachNear(x, z, radius, callback) {
+    const minX = this.cellCoord(x - radius);
+    const maxX = this.cellCoord(x + radius);
+    const minZ = this.cellCoord(z - radius);
+    const maxZ = this.cellCoord(z + radius);
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const cell = this.cells.get(cellKey(cx, cz));
+        if (!cell) continue;
+        for (const item of cell) callback(item);
+      }
+    }
+  }
+
+  cellCoord(v) {
+    return Math.floor(v / this.cellSize);
+  }
+}
+
+// Exact for cell coordinates within ±32768 — far beyond the map
+function cellKey(cx, cz) {
+  return (cx + 32768) * 65536 + (cz + 32768);
+}
@@ -0,0 +1,108 @@
+/**
+ * Modifier stack over a unit's numeric stats.
+ *
+ * Stats in use: maxHealth, moveSpeed (runSpeed on infantry), fireRate,
+ * projectileDamage (damage on towers), armor and damageTaken — an incoming-damage
+ * multiplier, so damage reduction is a mult below 1 and reductions stack
+ * multiplicatively.
+ *
+ * Game code keeps reading the plain fields on the unit; this class owns
+ * writing them. The first time a stat is modified its current value is
+ * captured as the base (or set explicitly with setBase), and from then on
+ * the field always holds
+ *
+ *   (base + sum of flat) * product of mult
+ *
+ * Removing a modifier recomputes from the base, so items and timed buffs
+ * stack and expire in any order without clobbering each other. Modifiers
+ * with a `duration` are removed by update() once it runs out; the owning
+ * unit calls update() every tick.
+ */
+export class StatModifiers {
+  constructor(unit) {
+    this.unit = unit;
+    this.base = {};       // stat -> unmodified value
+    this.modifiers = [];  // { stat, flat?, mult?, source?, duration? }
+  }
+
+  /**
+   * @param {Object} modifier - { stat, flat?, mult?, source?, duration? }
+   *   `duration` is in game seconds; omit it for modifiers removed by hand
+   * @returns {Object} the modifier, for remove()
+   */
+  add(modifier) {
+    if (!(modifier.stat in this.base)) {
+      this.base[modifier.stat] = this.unit[modifier.stat];
+    }
+    this.modifiers.push(modifier);
+    this.recompute(modifier.stat);
+    return modifier;
+  }
+
+  remove(modifier) {
+    const index = this.modifiers.indexOf(modifier);
+    if (index < 0) return;
+    this.modifiers.splice(index, 1);
+    this.recompute(modifier.stat);
+  }
+
+  /**
+   * Remove every modifier added with the given source.
+   */
+  removeBySource(source) {
+    this.removeWhere(m => m.source === source);
+  }
+
+  /**
+   * Replace a stat's unmodified value, keeping any active modifiers on top.
+   */
+  setBase(stat, value) {
+    this.base[stat] = value;
+    this.recompute(stat);
+  }
+
+  /**
+   * Count down timed modifiers and drop the expired ones.
+   */
+  update(delta) {
+    let expired = false;
+    for (const m of this.modifiers) {
+      if (m.duration === undefined) continue;
+      m.duration -= delta;
+      if (m.duration <= 0) expired = true;
+    }
+    if (expired) {
+      this.removeWhere(m => m.duration !== undefined && m.duration <= 0);
+    }
+  }
+
+  removeWhere(predicate) {
+    const affected = new Set();
+    this.modifiers = this.modifiers.filter(m => {
+      if (!predicate(m)) return true;
+      affected.add(m.stat);
+      return false;
+    });
+    for (const stat of affected) this.recompute(stat);
+  }
+
+  recompute(stat) {
+    let flat = 0;
+    let mult = 1;
+    for (const m of this.modifiers) {
+      if (m.stat !== stat) continue;
+      flat += m.flat || 0;
+      mult *= m.mult ?? 1;
+    }
+
+    const previous = this.unit[stat];
+    const value = (this.base[stat] + flat) * mult;
+    this.unit[stat] = value;
+
+    // Gaining max health also grants the extra health; losing it only clamps
+    if (stat === 'maxHealth' && this.unit.health > 0) {
+      const gained = Math.max(0, value - previous);
+      this.unit.health = Math.min(value, this.unit.health + gained);
+    }
+  }
+}
@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+
+/**
+ * Status effect types.
+ *
+ * - blocks: actions the effect prevents ('move', 'attack', 'cast')
+ * - stacking: what re-applying an effect that is already active does
+ *     'refresh'   — one instance; duration becomes the longer of the two
+ *     'strongest' — one instance; keeps the larger `amount` and longer duration
+ *     'replace'   — the new application replaces the old one outright
+ * - immunity: seconds the unit ignores this type after an instance ends
+ */
+export const STATUS_TYPES = {
+  stun: { name: 'Stunned', icon: '✷', debuff: true, blocks: ['move', 'attack', 'cast'], stacking: 'refresh', immunity: 1.0 },
+  root: { name: 'Rooted', icon: '⚓', debuff: true, blocks: ['move'], stacking: 'refresh', immunity: 0.5 },
+  silence: { name: 'Silenced', icon: '⊘', debuff: true, blocks: ['cast'], stacking: 'refresh', immunity: 0 },
+  slow: { name: 'Slowed', icon: '▼', debuff: true, blocks: [], stacking: 'strongest', immunity: 0 },
+  weaken: { name: 'Weakened', icon: '↓', debuff: true, blocks: [], stacking: 'refresh', immunity: 0 },
+  knockback: { name: 'Knocked back', icon: '⇶', debuff: true, blocks: ['move', 'attack'], stacking: 'replace', immunity: 0.5 },
+  buff: { name: 'Buff', icon: '▲', debuff: false, blocks: [], stacking: 'refresh', immunity: 0 },
+};
+
+/**
+ * Per-unit status effects: crowd control and timed buffs.
+ *
+ * Each unit (Tank, Warhound, Infantry, Tower) owns one and ticks it from
+ * its update(). Movement, firing and AbilitySystem.castAbility consult
+ * canMove() / canAttack() / canCast(). Effects may carry stat modifiers
+ * (slows, ability buffs); they are added to the unit's StatModifiers with
+ * the effect as source and removed when it ends.
+ *
+ * Effects are keyed by type, or by `id` when given, so distinct buffs
+ * ('rage', 'fortify') coexist while a second stun refreshes the first.
+ */
+export class StatusEffects {
+  constructor(unit) {
+    this.unit = unit;
+    this.effects = new Map(); // key -> effect
+    this.immunities = new Map(); // type -> seconds left
+  }
+
+  /**
+   * @param {string} type - key of STATUS_TYPES
+   * @param {Object} options
+   * @param {number} options.duration - game seconds
+   * @param {string} [options.id] - key for distinct instances of one type (buffs)
+   * @param {string} [options.name] - HUD label, defaults to the type's name
+   * @param {string} [options.icon] - HUD icon, defaults to the type's icon
+   * @param {number} [options.amount] - slow strength (0.4 = 40% slower)
+   * @param {Array}  [options.modifiers] - stat modifiers held while active
+   * @param {THREE.Vector3} [options.direction] - knockback direction
+   * @param {number} [options.speed] - knockback speed in m/s
+   * @param {Object} [options.source] - unit that applied the effect
+   * @returns {Object|null} the active effect, or null if immune or dead
+   */
+  apply(type, options) {
+    const def = STATUS_TYPES[type];
+    if (!def || !this.unit.isAlive()) return null;
+    if (this.isImmune(type)) return null;
+
+    const key = options.id || type;
+    const existing = this.effects.get(key);
+    if (existing) {
+      const duration = Math.max(existing.remaining, options.duration);
+      if (def.stacking === 'refresh' ||
+          (def.stacking === 'strongest' && existing.amount >= (options.amount || 0))) {
+        existing.remaining = duration;
+        return existing;
+      }
+      // A stronger 'strongest' effect keeps the longer duration; 'replace' starts fresh
+      if (def.stacking === 'strongest') options = { ...options, duration };
+      this.end(existing, false);
+    }
+
+    const effect = {
+      key,
+      type,
+      name: options.name || def.name,
+      icon: options.icon || def.icon,
+      debuff: def.debuff,
+      duration: options.duration,
+      remaining: options.duration,
+      amount: options.amount || 0,
+      source: options.source || null,
+      velocity: null,
+    };
+
+    if (type === 'knockback') {
+      effect.velocity = new THREE.Vector3(options.direction.x, 0, options.direction.z)
+        .normalize()
+        .multiplyScalar(options.speed);
+    }
+
+    for (const modifier of this.modifiersFor(type, options)) {
+      this.unit.stats.add({ ...modifier, source: effect });
+    }
+
+    this.effects.set(key, effect);
+    return effect;
+  }
+
+  modifiersFor(type, options) {
+    if (type !== 'slow') return options.modifiers || [];
+
+    // Infantry keep separate walk and run speeds
+    const mult = 1 - options.amount;
+    return ['moveSpeed', 'runSpeed']
+      .filter(stat => this.unit[stat] !== undefined)
+      .map(stat => ({ stat, mult }));
+  }
+
+  has(type) {
+    for (const effect of this.effects.values()) {
+      if (effect.type === type) return true;
+    }
+    return false;
+  }
+
+  isImmune(type) {
+    return (this.immunities.get(type) || 0) > 0;
+  }
+
+  /**
+   * Ignore new effects of `type` for `seconds`.
+   */
+  grantImmunity(type, seconds) {
+    this.immunities.set(type, Math.max(this.immunities.get(type) || 0, seconds));
+  }
+
+  /**
+   * Remove debuffs (all of them, or only the given types). Cleansed effects
+   * still start their immunity window.
+   * @param {string[]} [types]
+   */
+  cleanse(types = null) {
+    for (const effect of [...this.effects.values()]) {
+      if (!effect.debuff) continue;
+      if (types && !types.includes(effect.type)) continue;
+      this.end(effect, true);
+    }
+  }
+
+  /**
+   * Drop every effect without granting immunity (death, respawn).
+   */
+  clear() {
+    for (const effect of [...this.effects.values()]) {
+      this.end(effect, false);
+    }
+    this.immunities.clear();
+  }
+
+  end(effect, grantImmunity) {
+    this.effects.delete(effect.key);
+    this.unit.stats.removeBySource(effect);
+    const immunity = STATUS_TYPES[effect.type].immunity;
+    if (grantImmunity && immunity > 0) {
+      this.grantImmunity(effect.type, immunity);
+    }
+  }
+
+  blocks(action) {
+    for (const effect of this.effects.values()) {
+      if (STATUS_TYPES[effect.type].blocks.includes(action)) return true;
+    }
+    return false;
+  }
+
+  canMove() {
+    return !this.blocks('move');
+  }
+
+  canAttack() {
+    return !this.blocks('attack');
+  }
+
+  canCast() {
+    return !this.blocks('cast');
+  }
+
+  /**
+   * Active knockback effect (its `velocity` overrides movement), or null.
+   */
+  getKnockback() {
+    return this.effects.get('knockback') || null;
+  }
+
+  /**
+   * Active effects for display, longest-lasting first.
+   */
+  list() {
+    return [...this.effects.values()].sort((a, b) => b.remaining - a.remaining);
+  }
+
+  update(delta) {
+    for (const [type, seconds] of this.immunities) {
+      if (seconds - delta <= 0) {
+        this.immunities.delete(type);
+      } else {
+        this.immunities.set(type, seconds - delta);
+      }
+    }
+
+    for (const effect of [...this.effects.values()]) {
+      effect.remaining -= delta;
+      if (effect.remaining <= 0) this.end(effect, true);
+    }
+  }
+}
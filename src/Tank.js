@@ -1,7 +1,12 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import RAPIER from '@dimforge/rapier3d-compat';
-import { Projectile } from './Projectile.js';
+import { StatModifiers } from './StatModifiers.js';
+import { applyDamage, applyArmorProfile } from './Damage.js';
+import { DamageLedger } from './DamageLedger.js';
+import { StatusEffects } from './StatusEffects.js';
+import { collisionGroups } from './CollisionGroups.js';
+import { Inventory } from './Inventory.js';
 
 export class Tank {
   constructor(scene, world) {
@@ -29,7 +34,10 @@ export class Tank {
     this.fireRate = 1.0; // seconds
     this.projectiles = [];
     this.targetManager = null;
-    this.damageTargets = []; // vehicles that projectiles can damage
+    this.projectileDamage = 10;
+    this.team = null; // 'blue' or 'red' — see setTeam()
+    this.scheduler = null; // game-clock timers (set externally)
+    this.projectilePool = null; // shots are drawn from the match's pool (set externally)
 
     // Visual offset from physics body (tweak if tank floats/sinks)
     this.meshOffsetY = 0;
@@ -46,6 +54,20 @@ export class Tank {
     this.health = this.maxHealth;
     this.colliderHandle = null;
     this.onDeath = null; // callback
+    this.healthRegen = 0; // health per second (items)
+    this.damageTaken = 1; // incoming damage multiplier (damage reduction buffs)
+    applyArmorProfile(this, 'tank');
+    this.damageLedger = new DamageLedger(); // recent attackers, for kill/assist credit
+
+    // Energy — spent by abilities (see AbilitySystem.castAbility)
+    this.maxEnergy = 100;
+    this.energy = this.maxEnergy;
+    this.energyRegen = 2; // energy per second
+
+    // Items and buffs modify stats through this stack, never by overwriting fields
+    this.stats = new StatModifiers(this);
+    this.inventory = new Inventory(this);
+    this.status = new StatusEffects(this); // stuns, slows, timed buffs
 
     // Target height for 40K scale (1 unit = 1 meter, super heavy tank ~6.3m tall)
     this.targetHeight = 6.3;
@@ -119,6 +141,36 @@ export class Tank {
     });
   }
 
+  /**
+   * Build a box stand-in for the GLB (hull + turret pivot) at the same scale.
+   * Used by headless simulation, where there is no asset server or renderer.
+   */
+  loadPlaceholder() {
+    const size = new THREE.Vector3(4.6, this.targetHeight, 8.4);
+    const material = new THREE.MeshStandardMaterial({ color: 0x556b2f });
+
+    this.mesh = new THREE.Group();
+
+    this.hull = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y * 0.55, size.z), material);
+    this.hull.name = 'PART_Hull';
+    this.hull.position.y = -size.y * 0.225;
+    this.mesh.add(this.hull);
+
+    this.turret = new THREE.Mesh(new THREE.BoxGeometry(size.x * 0.6, size.y * 0.45, size.z * 0.5), material);
+    this.turret.name = 'PART_Turret';
+    this.turret.position.y = size.y * 0.275;
+    this.mesh.add(this.turret);
+
+    this.vehicleHeight = size.y;
+    this.modelSize = size;
+    this.modelBox = new THREE.Box3(size.clone().multiplyScalar(-0.5), size.clone().multiplyScalar(0.5));
+
+    this.scene.add(this.mesh);
+    this.createPhysicsBody(size);
+
+    return this;
+  }
+
   createPhysicsBody(size) {
     console.log('Model size from bounds:', size);
 
@@ -138,20 +190,26 @@ export class Tank {
 
     this.body = this.world.createRigidBody(rigidBodyDesc);
 
-    // Collision groups: vehicles use membership=0x0002 so infantry (filter=0x0001) won't collide.
-    // filter=0xFFFF means vehicles still collide with terrain, rocks, projectiles, other vehicles.
-    const vehicleGroups = (0x0002 << 16) | 0xFFFF;
-
+    // Collision groups are per team, set by setTeam()
     const colliderDesc = RAPIER.ColliderDesc.cuboid(halfX, halfY, halfZ)
       .setMass(50)
-      .setFriction(1.0)
-      .setCollisionGroups(vehicleGroups);
+      .setFriction(1.0);
     const collider = this.world.createCollider(colliderDesc, this.body);
     this.colliderHandle = collider.handle;
 
     console.log('Tank collider halfY:', halfY, 'spawnY:', spawnY);
   }
 
+  /**
+   * Join a team: sets `team` and the collider's collision groups, so allied
+   * shots pass through this hero (see CollisionGroups.js).
+   * @param {string} team - 'blue' or 'red'
+   */
+  setTeam(team) {
+    this.team = team;
+    this.world.getCollider(this.colliderHandle).setCollisionGroups(collisionGroups('hero', team));
+  }
+
   setMoveInput(x, y) {
     this.moveInput.x = x;
     this.moveInput.y = y;
@@ -163,7 +221,7 @@ export class Tank {
   }
 
   fire() {
-    if (!this.canFire || !this.turret) return;
+    if (!this.canFire || !this.turret || !this.status.canAttack()) return;
 
     this.canFire = false;
 
@@ -181,16 +239,21 @@ export class Tank {
     const spawnPos = turretWorldPos.clone().add(direction.clone().multiplyScalar(barrelOffset));
     spawnPos.y += this.modelSize.y * 0.05;
 
-    const projectile = new Projectile(this.scene, this.world, spawnPos, direction.normalize(), this.targetManager, this.damageTargets);
+    const projectile = this.projectilePool.acquire(spawnPos, direction.normalize(), this.team, 'cannon', this.targetManager);
+    projectile.damage = this.projectileDamage;
+    projectile.owner = this;
     this.projectiles.push(projectile);
 
     // Cooldown
-    setTimeout(() => {
+    this.scheduler.after(this.fireRate, () => {
       this.canFire = true;
-    }, this.fireRate * 1000);
+    });
   }
 
   update(delta) {
+    this.stats.update(delta);
+    this.status.update(delta);
+    this.damageLedger.update(delta);
     if (!this.mesh || !this.body) return;
 
     // Get physics state
@@ -204,8 +267,10 @@ export class Tank {
       currentVel = this.body.linvel();
     }
 
+    const canMove = this.status.canMove();
+
     // Direct rotation control (no momentum buildup)
-    if (Math.abs(this.moveInput.x) > 0.1) {
+    if (canMove && Math.abs(this.moveInput.x) > 0.1) {
       // Set angular velocity directly for precise turning
       const turnRate = -this.moveInput.x * this.turnSpeed;
       this.body.setAngvel({ x: 0, y: turnRate, z: 0 }, true);
@@ -214,8 +279,12 @@ export class Tank {
       this.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
     }
 
-    // Movement - set velocity in facing direction
-    if (Math.abs(this.moveInput.y) > 0.1) {
+    // Movement - set velocity in facing direction. Knockback overrides
+    // input; stun/root hold the tank in place
+    const knockback = this.status.getKnockback();
+    if (knockback) {
+      this.body.setLinvel({ x: knockback.velocity.x, y: currentVel.y, z: knockback.velocity.z }, true);
+    } else if (canMove && Math.abs(this.moveInput.y) > 0.1) {
       const forward = new THREE.Vector3(0, 0, -1);
       forward.applyQuaternion(this.mesh.quaternion);
 
@@ -272,11 +341,16 @@ export class Tank {
     });
   }
 
-  takeDamage(amount) {
+  /**
+   * Take a hit through the damage pipeline (see Damage.js).
+   * @param {DamageEvent} event
+   */
+  takeDamage(event) {
     if (this.health <= 0) return;
-    this.health = Math.max(0, this.health - amount);
-    if (this.health <= 0 && this.onDeath) {
-      this.onDeath(this);
+    if (applyDamage(this, event).killed) {
+      this.status.clear();
+      if (this.onDeath) this.onDeath(this, event.source);
+      this.damageLedger.clear();
     }
   }
 
@@ -300,4 +374,13 @@ export class Tank {
   getRotation() {
     return this.mesh ? this.mesh.rotation.y : 0;
   }
+
+  dispose() {
+    for (const p of this.projectiles) {
+      if (p.alive) p.destroy();
+    }
+    this.projectiles.length = 0;
+    if (this.mesh) this.scene.remove(this.mesh);
+    if (this.body) this.world.removeRigidBody(this.body);
+  }
 }
@@ -1,17 +1,39 @@
 import * as THREE from 'three';
 import RAPIER from '@dimforge/rapier3d-compat';
-import { Projectile } from './Projectile.js';
+import { PROJECTILE_TYPES } from './ProjectileTypes.js';
+import { StatModifiers } from './StatModifiers.js';
+import { applyDamage, applyArmorProfile } from './Damage.js';
+import { DamageLedger } from './DamageLedger.js';
+import { StatusEffects } from './StatusEffects.js';
+import { collisionGroups } from './CollisionGroups.js';
 
 /**
  * Defensive tower that guards a lane.
  * Auto-targets nearby enemies: prioritizes minions, targets heroes if they attack allied heroes.
- * Fires at a fixed rate, dealing heavy damage.
+ * Only targets it can see: a ray from the turret must not hit lane walls,
+ * rocks or other structures. Fires at a fixed rate, dealing heavy damage,
+ * and leads moving targets with homing bolts that steer in to land the hit.
+ *
+ * Towers are tiered per lane: tier 1 is the outer tower, tier 2 the inner
+ * one. A tower with a living `protectedBy` tower is shielded and takes no
+ * damage until that tower falls.
  */
 export class Tower {
-  constructor(scene, world, position, team) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {RAPIER.World} world
+   * @param {{x: number, z: number}} position
+   * @param {string} team - 'blue' or 'red'
+   * @param {string} [lane] - 'left', 'mid' or 'right'
+   * @param {number} [tier=1] - 1 outer, 2 inner
+   */
+  constructor(scene, world, position, team, lane = null, tier = 1) {
     this.scene = scene;
     this.world = world;
     this.team = team; // 'blue' or 'red'
+    this.lane = lane;
+    this.tier = tier;
+    this.protectedBy = null; // tower that must fall first — set externally
     this.position = new THREE.Vector3(position.x, 0, position.z);
 
     // Stats
@@ -21,11 +43,27 @@ export class Tower {
     this.attackRange = 30;
     this.fireRate = 1.5; // seconds between shots
     this.fireTimer = 0;
-    this.projectileSpeed = 40;
+    // Homing bolts in the team color
+    this.projectileType = {
+      ...PROJECTILE_TYPES.tower_bolt,
+      color: team === 'blue' ? 0x44aaff : 0xff4444,
+    };
+    this.damageTaken = 1; // incoming damage multiplier
+    applyArmorProfile(this, 'tower');
+    this.damageLedger = new DamageLedger(); // recent attackers, for kill/assist credit
+
+    // Buffs and debuffs modify stats through this stack (see StatModifiers)
+    this.stats = new StatModifiers(this);
+    this.status = new StatusEffects(this); // stuns, timed buffs
+
+    // Shielded towers ignore every hit
+    this.damageHooks.before.push((event) => {
+      if (!this.isTargetable()) event.cancel();
+    });
 
     // Targeting
     this.currentTarget = null;
-    this.damageTargets = []; // enemies that can be damaged
+    this.registry = null; // match EntityRegistry, for enemies in range (set externally)
     this.aggroTarget = null; // priority target (hero that attacked allied hero)
     this.aggroTimer = 0;
     this.aggroDuration = 3; // seconds to prioritize aggro target
@@ -34,8 +72,12 @@ export class Tower {
     this.mesh = null;
     this.turretPivot = null;
     this.rangeIndicator = null;
+    this.shield = null; // shown while protected
+    this.aggroWarning = null; // marker over the aggro target
+    this.scheduler = null; // game clock; the marker and orb animate on match time (set externally)
     this.alive = true;
     this.projectiles = [];
+    this.projectilePool = null; // shots are drawn from the match's pool (set externally)
     this.colliderHandle = null;
 
     // Death callback
@@ -139,7 +181,35 @@ export class Tower {
     this.rangeIndicator.visible = false; // hidden by default
     this.mesh.add(this.rangeIndicator);
 
+    // Protection shield (visible while an outer tower still stands)
+    const shieldGeo = new THREE.SphereGeometry(5, 16, 12);
+    const shieldMat = new THREE.MeshBasicMaterial({
+      color: color,
+      transparent: true,
+      opacity: 0.12,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    this.shield = new THREE.Mesh(shieldGeo, shieldMat);
+    this.shield.scale.set(1, 1.8, 1);
+    this.shield.position.y = 7;
+    this.shield.visible = false;
+    this.mesh.add(this.shield);
+
     this.scene.add(this.mesh);
+
+    // Aggro warning: a downward-pointing spike in the tower's color, shown
+    // over the hero this tower has locked onto
+    const warningGeo = new THREE.ConeGeometry(0.8, 2, 4);
+    warningGeo.rotateX(Math.PI);
+    const warningMat = new THREE.MeshBasicMaterial({
+      color: this.team === 'blue' ? 0x44aaff : 0xff4444,
+      transparent: true,
+      opacity: 0.9,
+    });
+    this.aggroWarning = new THREE.Mesh(warningGeo, warningMat);
+    this.aggroWarning.visible = false;
+    this.scene.add(this.aggroWarning);
   }
 
   createPhysics() {
@@ -148,19 +218,25 @@ export class Tower {
     const body = this.world.createRigidBody(bodyDesc);
 
     // Tower collision — cylinder approximated as cuboid
-    const colliderDesc = RAPIER.ColliderDesc.cuboid(2.5, 6, 2.5);
+    const colliderDesc = RAPIER.ColliderDesc.cuboid(2.5, 6, 2.5)
+      .setCollisionGroups(collisionGroups('structure', this.team));
     const collider = this.world.createCollider(colliderDesc, body);
     this.colliderHandle = collider.handle;
     this.body = body;
   }
 
-  setDamageTargets(targets) {
-    this.damageTargets = targets;
+  isProtected() {
+    return !!this.protectedBy && this.protectedBy.alive;
+  }
+
+  isTargetable() {
+    return this.alive && !this.isProtected();
   }
 
   /**
-   * Called when this tower's allied hero is attacked by an enemy hero.
-   * Tower switches to target that hero for a duration.
+   * Called when this tower's allied hero is attacked by an enemy hero in
+   * range (see MatchSimulation.setupTowerAggro). Tower switches to target
+   * that hero for aggroDuration seconds.
    */
   setAggro(target) {
     this.aggroTarget = target;
@@ -173,80 +249,129 @@ export class Tower {
     // Priority 1: Aggro target (hero that attacked allied hero)
     if (this.aggroTarget && this.aggroTarget.isAlive && this.aggroTarget.isAlive()) {
       const dist = this.position.distanceTo(this.aggroTarget.getPosition());
-      if (dist <= this.attackRange) {
+      if (dist <= this.attackRange && this.hasLineOfSight(this.aggroTarget)) {
         return this.aggroTarget;
       }
     }
 
-    // Priority 2: Nearest minion in range
-    let nearestMinion = null;
-    let nearestMinionDist = Infinity;
-    let nearestHero = null;
-    let nearestHeroDist = Infinity;
-
-    for (const target of this.damageTargets) {
-      if (!target.isAlive || !target.isAlive()) continue;
-      const dist = this.position.distanceTo(target.getPosition());
-      if (dist > this.attackRange) continue;
-
-      if (target.isMinion) {
-        if (dist < nearestMinionDist) {
-          nearestMinionDist = dist;
-          nearestMinion = target;
-        }
-      } else {
-        if (dist < nearestHeroDist) {
-          nearestHeroDist = dist;
-          nearestHero = target;
-        }
-      }
-    }
+    // Priority 2: Nearest minion in range, then nearest hero
+    const inRange = this.registry.query({
+      enemyOf: this.team,
+      kind: ['hero', 'minion'],
+      near: this.position,
+      radius: this.attackRange,
+    });
+    const candidates = inRange.map(target => ({
+      target,
+      dist: this.position.distanceTo(target.getPosition()),
+    }));
+    candidates.sort((a, b) => (!!b.target.isMinion - !!a.target.isMinion) || (a.dist - b.dist));
+
+    // Blocked targets are skipped in favor of the next one in line
+    const visible = candidates.find(c => this.hasLineOfSight(c.target));
+    return visible ? visible.target : null;
+  }
 
-    // Prefer minions, fall back to heroes
-    return nearestMinion || nearestHero || null;
+  getMuzzlePosition() {
+    return new THREE.Vector3(this.position.x, 14, this.position.z); // turret height
   }
 
-  fire(target) {
-    if (!target || !target.isAlive()) return;
+  /**
+   * Center of the target's physics body — what a shot has to hit. Unit
+   * positions are their mesh origin, which may sit on the ground.
+   */
+  getAimPoint(target) {
+    if (!target.body) return target.getPosition();
+    const t = target.body.translation();
+    return new THREE.Vector3(t.x, t.y, t.z);
+  }
 
-    const targetPos = target.getPosition();
-    const spawnPos = new THREE.Vector3(
-      this.position.x,
-      14, // turret height
-      this.position.z
+  /**
+   * Whether a ray from the turret reaches `target` without hitting static
+   * geometry (lane walls, rocks, other structures).
+   */
+  hasLineOfSight(target) {
+    const from = this.getMuzzlePosition();
+    const toTarget = this.getAimPoint(target).sub(from);
+    const dist = toTarget.length();
+    if (dist < 0.001) return true;
+
+    const ray = new RAPIER.Ray(from, toTarget.divideScalar(dist));
+    const hit = this.world.castRay(
+      ray, dist, true, undefined, undefined, undefined, this.body,
+      (collider) => {
+        const body = collider.parent();
+        return !!body && body.isFixed();
+      }
     );
+    return hit === null;
+  }
 
-    const direction = new THREE.Vector3()
-      .subVectors(targetPos, spawnPos);
+  /**
+   * Where to aim so a shot from `from` meets the target: solves
+   * |offset + velocity * t| = speed * t for the earliest t, using the
+   * target's Rapier body velocity. Falls back to the current position for
+   * targets without a body or that cannot be caught.
+   * @returns {{ point: THREE.Vector3, time: number }}
+   */
+  predictIntercept(target, from, speed) {
+    const point = this.getAimPoint(target);
+    const offset = point.clone().sub(from);
+    const time = offset.length() / speed;
+    if (!target.body) return { point, time };
+
+    const v = target.body.linvel();
+    const velocity = new THREE.Vector3(v.x, 0, v.z); // ground units; ignore bobbing
+    const a = velocity.lengthSq() - speed * speed;
+    const b = 2 * offset.dot(velocity);
+    const c = offset.lengthSq();
+
+    let t;
+    if (Math.abs(a) < 1e-6) {
+      t = b < 0 ? -c / b : -1;
+    } else {
+      const disc = b * b - 4 * a * c;
+      if (disc < 0) return { point, time };
+      const sqrt = Math.sqrt(disc);
+      const t1 = (-b - sqrt) / (2 * a);
+      const t2 = (-b + sqrt) / (2 * a);
+      t = Math.min(t1, t2) > 0 ? Math.min(t1, t2) : Math.max(t1, t2);
+    }
+    if (!(t > 0)) return { point, time };
 
-    // Lead the target slightly based on distance
-    const dist = direction.length();
-    direction.normalize();
+    return { point: point.addScaledVector(velocity, t), time: t };
+  }
 
-    // Slightly aim upward for visual arc effect
-    direction.y += 0.1;
-    direction.normalize();
+  fire(target) {
+    if (!target || !target.isAlive()) return;
 
-    const projectile = new Projectile(
-      this.scene, this.world, spawnPos, direction,
-      null, this.damageTargets
+    const spawnPos = this.getMuzzlePosition();
+    const { point } = this.predictIntercept(target, spawnPos, this.projectileType.speed);
+    const direction = new THREE.Vector3().subVectors(point, spawnPos).normalize();
+
+    // Launched at the intercept; homing corrects for any change of course
+    const projectile = this.projectilePool.acquire(
+      spawnPos, direction, this.team, this.projectileType
     );
     projectile.damage = this.damage;
-    projectile.speed = this.projectileSpeed;
-
-    // Override projectile visual for tower shots
-    if (projectile.mesh && projectile.mesh.material) {
-      const towerColor = this.team === 'blue' ? 0x44aaff : 0xff4444;
-      projectile.mesh.material.color.setHex(towerColor);
-      projectile.mesh.scale.setScalar(1.5);
-    }
+    projectile.owner = this;
+    projectile.homingTarget = target;
 
     this.projectiles.push(projectile);
   }
 
   update(delta) {
+    // Shots already in flight still land after the tower falls
+    this.projectiles = this.projectiles.filter(p => {
+      p.update(delta);
+      return p.alive;
+    });
     if (!this.alive) return;
 
+    this.stats.update(delta);
+    this.status.update(delta);
+    this.damageLedger.update(delta);
+
     // Aggro timer
     if (this.aggroTimer > 0) {
       this.aggroTimer -= delta;
@@ -254,6 +379,8 @@ export class Tower {
         this.aggroTarget = null;
       }
     }
+    this.updateAggroWarning();
+    this.shield.visible = this.isProtected();
 
     // Find target
     this.currentTarget = this.findTarget();
@@ -269,31 +396,47 @@ export class Tower {
 
     // Fire at target
     this.fireTimer += delta;
-    if (this.currentTarget && this.fireTimer >= this.fireRate) {
+    if (this.currentTarget && this.fireTimer >= this.fireRate && this.status.canAttack()) {
       this.fire(this.currentTarget);
       this.fireTimer = 0;
     }
 
-    // Update projectiles
-    this.projectiles = this.projectiles.filter(p => {
-      p.update(delta);
-      return p.alive;
-    });
-
     // Pulse orb when targeting
     if (this.orbMaterial) {
-      const pulse = this.currentTarget ? 1.0 + Math.sin(Date.now() * 0.005) * 0.5 : 0.5;
+      const pulse = this.currentTarget ? 1.0 + Math.sin(this.scheduler.time * 5) * 0.5 : 0.5;
       this.orbMaterial.emissiveIntensity = pulse;
     }
   }
 
-  takeDamage(amount) {
+  /**
+   * Show the warning over the aggro target while it is alive and in range.
+   */
+  updateAggroWarning() {
+    const target = this.aggroTarget;
+    const show = !!target && this.alive && target.isAlive() &&
+      this.position.distanceTo(target.getPosition()) <= this.attackRange;
+    this.aggroWarning.visible = show;
+    if (!show) return;
+
+    const pos = target.getPosition();
+    const bob = Math.sin(this.scheduler.time * 10) * 0.3;
+    this.aggroWarning.position.set(pos.x, pos.y + 9 + bob, pos.z);
+  }
+
+  /**
+   * Take a hit through the damage pipeline (see Damage.js).
+   * @param {DamageEvent} event
+   */
+  takeDamage(event) {
     if (!this.alive) return;
-    this.health = Math.max(0, this.health - amount);
-    if (this.health <= 0) {
+    if (applyDamage(this, event).killed) {
       this.alive = false;
+      this.status.clear();
+      this.aggroTarget = null;
+      this.updateAggroWarning();
       this.destroy();
-      if (this.onDeath) this.onDeath(this);
+      if (this.onDeath) this.onDeath(this, event.source);
+      this.damageLedger.clear();
     }
   }
 
@@ -311,6 +454,7 @@ export class Tower {
 
   destroy() {
     this.alive = false;
+    this.shield.visible = false;
     // Visual destruction — collapse tower
     if (this.mesh) {
       // Fade and sink
@@ -328,6 +472,7 @@ export class Tower {
 
   dispose() {
     if (this.mesh) this.scene.remove(this.mesh);
+    if (this.aggroWarning) this.scene.remove(this.aggroWarning);
     for (const p of this.projectiles) {
       if (p.alive) p.destroy();
     }
@@ -1,7 +1,12 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import RAPIER from '@dimforge/rapier3d-compat';
-import { Projectile } from './Projectile.js';
+import { StatModifiers } from './StatModifiers.js';
+import { applyDamage, applyArmorProfile } from './Damage.js';
+import { DamageLedger } from './DamageLedger.js';
+import { StatusEffects } from './StatusEffects.js';
+import { collisionGroups } from './CollisionGroups.js';
+import { Inventory } from './Inventory.js';
 
 export class Warhound {
   constructor(scene, world) {
@@ -52,7 +57,10 @@ export class Warhound {
     this.fireFromLeft = true; // toggles each shot
     this.projectiles = [];
     this.targetManager = null;
-    this.damageTargets = []; // vehicles that projectiles can damage
+    this.projectileDamage = 10;
+    this.team = null; // 'blue' or 'red' — see setTeam()
+    this.scheduler = null; // game-clock timers (set externally)
+    this.projectilePool = null; // shots are drawn from the match's pool (set externally)
 
     // Visual offset from physics body
     this.meshOffsetY = 0;
@@ -67,6 +75,20 @@ export class Warhound {
     this.health = this.maxHealth;
     this.colliderHandle = null;
     this.onDeath = null; // callback
+    this.healthRegen = 0; // health per second (items)
+    this.damageTaken = 1; // incoming damage multiplier (damage reduction buffs)
+    applyArmorProfile(this, 'titan');
+    this.damageLedger = new DamageLedger(); // recent attackers, for kill/assist credit
+
+    // Energy — spent by abilities (see AbilitySystem.castAbility)
+    this.maxEnergy = 100;
+    this.energy = this.maxEnergy;
+    this.energyRegen = 2; // energy per second
+
+    // Items and buffs modify stats through this stack, never by overwriting fields
+    this.stats = new StatModifiers(this);
+    this.inventory = new Inventory(this);
+    this.status = new StatusEffects(this); // stuns, slows, timed buffs
 
     // Target height for 40K scale (1 unit = 1 meter, Warhound Titan ~14m tall)
     this.targetHeight = 14;
@@ -146,6 +168,58 @@ export class Warhound {
     });
   }
 
+  /**
+   * Build a simple legged stand-in for the GLB with the hip_L / hip_R / spine
+   * joints the animation and firing code expect. Used by headless simulation,
+   * where there is no asset server or renderer.
+   */
+  loadPlaceholder() {
+    const size = new THREE.Vector3(7, this.targetHeight, 6);
+    const material = new THREE.MeshStandardMaterial({ color: 0x6b5a3a });
+
+    this.model = new THREE.Group();
+
+    const legHeight = size.y * 0.5;
+    for (const [name, side] of [['hip_L', -1], ['hip_R', 1]]) {
+      const hip = new THREE.Object3D();
+      hip.name = name;
+      hip.position.set(side * size.x * 0.2, legHeight, 0);
+      const leg = new THREE.Mesh(new THREE.BoxGeometry(1.2, legHeight, 1.2), material);
+      leg.position.y = -legHeight / 2;
+      hip.add(leg);
+      this.model.add(hip);
+    }
+
+    this.spine = new THREE.Object3D();
+    this.spine.name = 'spine';
+    this.spine.position.y = legHeight;
+    const torso = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y - legHeight, size.z), material);
+    torso.position.y = (size.y - legHeight) / 2;
+    this.spine.add(torso);
+    this.model.add(this.spine);
+
+    this.hipL = this.model.getObjectByName('hip_L');
+    this.hipR = this.model.getObjectByName('hip_R');
+    this.hipLBaseQuat = this.hipL.quaternion.clone();
+    this.hipRBaseQuat = this.hipR.quaternion.clone();
+    this.spineBaseQuat = this.spine.quaternion.clone();
+
+    this.mesh = new THREE.Group();
+    this.mesh.add(this.model);
+    this.scene.add(this.mesh);
+
+    this.vehicleHeight = size.y;
+    this.modelSize = size;
+    this.modelBox = new THREE.Box3(
+      new THREE.Vector3(-size.x / 2, 0, -size.z / 2),
+      new THREE.Vector3(size.x / 2, size.y, size.z / 2)
+    );
+
+    this.createPhysicsBody(size);
+
+    return this;
+  }
+
   createPhysicsBody(size) {
     console.log('Warhound model size from bounds:', size);
 
@@ -172,20 +246,26 @@ export class Warhound {
 
     this.body = this.world.createRigidBody(rigidBodyDesc);
 
-    // Collision groups: vehicles use membership=0x0002 so infantry (filter=0x0001) won't collide.
-    // filter=0xFFFF means vehicles still collide with terrain, rocks, projectiles, other vehicles.
-    const vehicleGroups = (0x0002 << 16) | 0xFFFF;
-
+    // Collision groups are per team, set by setTeam()
     const colliderDesc = RAPIER.ColliderDesc.capsule(capsuleHalfHeight, radius)
       .setMass(40)
-      .setFriction(0.3)
-      .setCollisionGroups(vehicleGroups);
+      .setFriction(0.3);
     const collider = this.world.createCollider(colliderDesc, this.body);
     this.colliderHandle = collider.handle;
 
     console.log('Warhound collider totalHalfY:', totalHalfY, 'spawnY:', spawnY, 'meshOffsetY:', this.meshOffsetY);
   }
 
+  /**
+   * Join a team: sets `team` and the collider's collision groups, so allied
+   * shots pass through this hero (see CollisionGroups.js).
+   * @param {string} team - 'blue' or 'red'
+   */
+  setTeam(team) {
+    this.team = team;
+    this.world.getCollider(this.colliderHandle).setCollisionGroups(collisionGroups('hero', team));
+  }
+
   setMoveInput(x, y) {
     this.moveInput.x = x;
     this.moveInput.y = y;
@@ -198,7 +278,7 @@ export class Warhound {
   }
 
   fire() {
-    if (!this.canFire || !this.spine) return;
+    if (!this.canFire || !this.spine || !this.status.canAttack()) return;
 
     this.canFire = false;
 
@@ -225,18 +305,23 @@ export class Warhound {
       .add(direction.clone().multiplyScalar(forwardOffset));
     spawnPos.y += this.modelSize.y * 0.05;
 
-    const projectile = new Projectile(this.scene, this.world, spawnPos, direction.normalize(), this.targetManager, this.damageTargets);
+    const projectile = this.projectilePool.acquire(spawnPos, direction.normalize(), this.team, 'cannon', this.targetManager);
+    projectile.damage = this.projectileDamage;
+    projectile.owner = this;
     this.projectiles.push(projectile);
 
     // Alternate arms for next shot
     this.fireFromLeft = !this.fireFromLeft;
 
-    setTimeout(() => {
+    this.scheduler.after(this.fireRate, () => {
       this.canFire = true;
-    }, this.fireRate * 1000);
+    });
   }
 
   update(delta) {
+    this.stats.update(delta);
+    this.status.update(delta);
+    this.damageLedger.update(delta);
     if (!this.mesh || !this.body) return;
 
     // Get physics state
@@ -250,16 +335,21 @@ export class Warhound {
       currentVel = this.body.linvel();
     }
 
+    const canMove = this.status.canMove();
+
     // Rotation control
-    if (Math.abs(this.moveInput.x) > 0.1) {
+    if (canMove && Math.abs(this.moveInput.x) > 0.1) {
       const turnRate = -this.moveInput.x * this.turnSpeed;
       this.body.setAngvel({ x: 0, y: turnRate, z: 0 }, true);
     } else {
       this.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
     }
 
-    // Movement
-    if (Math.abs(this.moveInput.y) > 0.1) {
+    // Movement. Knockback overrides input; stun/root hold the titan in place
+    const knockback = this.status.getKnockback();
+    if (knockback) {
+      this.body.setLinvel({ x: knockback.velocity.x, y: currentVel.y, z: knockback.velocity.z }, true);
+    } else if (canMove && Math.abs(this.moveInput.y) > 0.1) {
       const forward = this._forwardWorld
         .copy(this._forwardLocal)
         .applyQuaternion(this.mesh.quaternion);
@@ -335,11 +425,16 @@ export class Warhound {
     });
   }
 
-  takeDamage(amount) {
+  /**
+   * Take a hit through the damage pipeline (see Damage.js).
+   * @param {DamageEvent} event
+   */
+  takeDamage(event) {
     if (this.health <= 0) return;
-    this.health = Math.max(0, this.health - amount);
-    if (this.health <= 0 && this.onDeath) {
-      this.onDeath(this);
+    if (applyDamage(this, event).killed) {
+      this.status.clear();
+      if (this.onDeath) this.onDeath(this, event.source);
+      this.damageLedger.clear();
     }
   }
 
@@ -363,4 +458,13 @@ export class Warhound {
   getRotation() {
     return this.mesh ? this.mesh.rotation.y : 0;
   }
+
+  dispose() {
+    for (const p of this.projectiles) {
+      if (p.alive) p.destroy();
+    }
+    this.projectiles.length = 0;
+    if (this.mesh) this.scene.remove(this.mesh);
+    if (this.body) this.world.removeRigidBody(this.body);
+  }
 }
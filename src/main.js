@@ -1,18 +1,9 @@
 import * as THREE from 'three';
-import RAPIER from '@dimforge/rapier3d-compat';
-import { Tank } from './Tank.js';
-import { Warhound } from './Warhound.js';
-import { MOBAMap } from './MOBAMap.js';
 import { MOBACamera } from './MOBACamera.js';
 import { MOBAControls } from './MOBAControls.js';
-import { Tower } from './Tower.js';
-import { ControlPoint } from './ControlPoint.js';
-import { MinionWave } from './MinionWave.js';
-import { HeroTank } from './HeroTank.js';
-import { HeroTitan } from './HeroTitan.js';
-import { MOBAHeroAI } from './MOBAHeroAI.js';
-import { MOBANavSystem } from './MOBANavSystem.js';
+import { MatchSimulation } from './MatchSimulation.js';
 import { SmokeEffect } from './SmokeEffect.js';
+import { RenderInterpolator } from './RenderInterpolator.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 
@@ -22,28 +13,18 @@ class Game {
     this.renderer = new THREE.WebGLRenderer({ antialias: true });
     this.clock = new THREE.Clock();
 
-    // Player
-    this.vehicle = null;
-    this.heroWrapper = null;
+    // Match simulation (world, heroes, towers, minions, AI)
+    this.sim = null;
 
-    // Enemy
-    this.enemyVehicle = null;
-    this.enemyHeroWrapper = null;
-    this.enemyHeroAI = null;
-
-    // Game systems
-    this.mobaMap = null;
+    // Presentation
     this.mobaCamera = null;
     this.mobaControls = null;
-    this.controlPoint = null;
-    this.minionWave = null;
-    this.towers = { blue: [], red: [] };
-    this.navSystem = null;
+    this.interpolator = null; // smooths meshes between simulation ticks
     this.effects = [];
-
-    // Game state
-    this.gameOver = false;
-    this.winner = null;
+    this.frameId = null;
+    this.matchListeners = null; // AbortController for this match's DOM listeners
+    this.shopOpen = false;
+    this.isRestarting = false; // a rematch is loading
 
     // Hero selection
     this.selectedVehicle = null;
@@ -66,6 +47,7 @@ class Game {
     ];
 
     this.setupMenu();
+    this.setupGameOverButtons();
     this.initPreview();
     window.addEventListener('resize', () => this.onResize());
   }
@@ -118,7 +100,7 @@ class Game {
     this.previewControls.maxDistance = 12;
 
     this.previewLoader = new GLTFLoader();
-    this.selectIndex(0);
+    this.selectIndex(this.selectedIndex);
     this.previewAnimate();
     this.onResize();
   }
@@ -226,6 +208,7 @@ class Game {
     try {
       console.log('Starting MOBA game init...');
       this.updateLoading(0, 'Initializing renderer...');
+      this.matchListeners = new AbortController();
 
       // Renderer
       this.renderer.setSize(window.innerWidth, window.innerHeight);
@@ -236,13 +219,8 @@ class Game {
       this.renderer.toneMappingExposure = 1.0;
       document.getElementById('game-container').appendChild(this.renderer.domElement);
 
-      // Physics
-      this.updateLoading(5, 'Initializing physics engine...');
-      await RAPIER.init();
-      this.world = new RAPIER.World({ x: 0, y: -9.81, z: 0 });
-
       // Lighting
-      this.updateLoading(10, 'Setting up lighting...');
+      this.updateLoading(2, 'Setting up lighting...');
       this.setupLighting();
 
       // Environment map
@@ -258,123 +236,36 @@ class Game {
       this.scene.environment = pmremGenerator.fromScene(envScene, 0.04).texture;
       pmremGenerator.dispose();
 
-      // MOBA Map
-      this.updateLoading(15, 'Generating MOBA map...');
-      this.mobaMap = new MOBAMap(this.scene, this.world);
-
-      // Load player hero
-      this.updateLoading(25, 'Loading your hero...');
-      if (this.selectedVehicle === 'warhound') {
-        this.vehicle = new Warhound(this.scene, this.world);
-        await this.vehicle.load('warhound.glb');
-        this.heroWrapper = new HeroTitan(this.vehicle, this.scene, this.world);
-      } else {
-        this.vehicle = new Tank(this.scene, this.world);
-        await this.vehicle.load('bastion.glb');
-        this.heroWrapper = new HeroTank(this.vehicle, this.scene, this.world);
-      }
-
-      // Position player at blue base — face toward center
-      if (this.vehicle.body) {
-        this.vehicle.body.setTranslation({ x: 0, y: 4, z: -122 }, true);
-        // Tank forward is -Z, needs to face +Z (toward center) → rotate 180°
-        // Warhound forward is +Z, already faces center → no rotation needed
-        if (this.selectedVehicle === 'tank') {
-          const pquat = new THREE.Quaternion();
-          pquat.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI);
-          this.vehicle.body.setRotation(
-            { x: pquat.x, y: pquat.y, z: pquat.z, w: pquat.w }, true
-          );
-        }
-      }
-
-      // Load enemy hero (opposite type)
-      this.updateLoading(40, 'Loading enemy hero...');
-      if (this.selectedVehicle === 'warhound') {
-        this.enemyVehicle = new Tank(this.scene, this.world);
-        await this.enemyVehicle.load('bastion.glb');
-        this.enemyHeroWrapper = new HeroTank(this.enemyVehicle, this.scene, this.world);
-      } else {
-        this.enemyVehicle = new Warhound(this.scene, this.world);
-        await this.enemyVehicle.load('warhound.glb');
-        this.enemyHeroWrapper = new HeroTitan(this.enemyVehicle, this.scene, this.world);
-      }
-
-      // Position enemy at red base — face toward center
-      if (this.enemyVehicle.body) {
-        this.enemyVehicle.body.setTranslation({ x: 0, y: 4, z: 122 }, true);
-        // Enemy Warhound (forward +Z) at z=+122 needs 180° to face -Z (toward center)
-        // Enemy Tank (forward -Z) at z=+122 already faces -Z (toward center)
-        if (this.selectedVehicle === 'tank') {
-          // Enemy is Warhound — rotate 180°
-          const eqaut = new THREE.Quaternion();
-          eqaut.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI);
-          this.enemyVehicle.body.setRotation(
-            { x: eqaut.x, y: eqaut.y, z: eqaut.z, w: eqaut.w }, true
-          );
-        }
-        // If player chose warhound, enemy is Tank which already faces -Z (correct)
-      }
-
-      // Towers
-      this.updateLoading(50, 'Placing towers...');
-      this.createTowers();
-
-      // Navigation mesh for pathfinding
-      this.updateLoading(55, 'Building navigation mesh...');
-      this.navSystem = new MOBANavSystem();
-      await this.navSystem.build(
-        this.mobaMap,
-        [...this.towers.blue, ...this.towers.red]
-      );
-
-      // Control Point
-      this.updateLoading(60, 'Setting up control point...');
-      this.controlPoint = new ControlPoint(this.scene, new THREE.Vector3(0, 0, 0));
-
-      // Minion Waves
-      this.updateLoading(65, 'Loading minion assets...');
-      this.minionWave = new MinionWave(this.scene, this.world, this.mobaMap);
-      await this.minionWave.loadAssets();
-
-      // Wire up damage targets
-      this.updateLoading(72, 'Wiring up combat systems...');
-      this.wireDamageTargets();
-
-      // Enemy hero AI
-      this.updateLoading(78, 'Setting up enemy AI...');
-      this.enemyHeroAI = new MOBAHeroAI(
-        this.enemyVehicle,
-        this.enemyHeroWrapper,
-        this.vehicle,
-        this.mobaMap
-      );
-
-      // Give AI access to navigation system
-      this.enemyHeroAI.navSystem = this.navSystem;
-
-      // Give enemy AI starting ability levels
-      this.enemyHeroWrapper.abilitySystem.addXP(100);
-      this.enemyHeroWrapper.abilitySystem.levelUpAbility('q');
+      // Match simulation — map, heroes, towers, minions, AI
+      // ?seed=<n> in the URL replays a previous match
+      const seedParam = new URLSearchParams(window.location.search).get('seed');
+      this.sim = new MatchSimulation({
+        scene: this.scene,
+        heroType: this.selectedVehicle,
+        seed: seedParam !== null ? Number(seedParam) : undefined,
+      });
+      this.sim.addObserver(this);
+      await this.sim.init();
 
-      // Handle hero deaths
-      this.setupDeathHandlers();
+      // Interpolate moving meshes between fixed simulation ticks
+      this.interpolator = new RenderInterpolator(() => this.sim.getMovingObjects());
 
       // Camera
       this.updateLoading(85, 'Setting up camera...');
-      this.mobaCamera = new MOBACamera(this.vehicle);
+      this.mobaCamera = new MOBACamera(this.sim.vehicle);
 
       // Controls
       this.updateLoading(90, 'Setting up controls...');
       this.mobaControls = new MOBAControls(
-        this.vehicle,
+        this.sim.vehicle,
         this.mobaCamera,
         this.renderer,
         this.scene
       );
 
       // Give controls access to navigation system
-      this.mobaControls.navSystem = this.navSystem;
+      this.mobaControls.navSystem = this.sim.navSystem;
+      this.mobaControls.registry = this.sim.registry;
 
       // Wire ability callbacks to controls
       this.setupAbilityControls();
@@ -382,15 +273,18 @@ class Game {
       // Set enemy units for click targeting
       this.updateEnemyTargetList();
 
-      // Auto-level first ability for player
-      this.heroWrapper.abilitySystem.levelUpAbility('q');
-
       // Setup ability level-up button handlers
       this.setupAbilityLevelUpButtons();
 
       // Setup mobile recenter camera button
       this.setupRecenterButton();
 
+      // Pause menu (Esc / pause button) with game speed control
+      this.setupPauseMenu();
+
+      // Base shop (B / shop button) and inventory
+      this.setupShop();
+
       // Start game loop
       this.updateLoading(100, 'Battle begins...');
       this.animate();
@@ -427,108 +321,81 @@ class Game {
     this.scene.fog = new THREE.Fog(0x87CEEB, 150, 350);
   }
 
-  createTowers() {
-    const positions = this.mobaMap.towerPositions;
+  onLoadProgress(percent, status) {
+    this.updateLoading(percent, status);
+  }
 
-    for (const lane of ['left', 'mid', 'right']) {
-      for (const pos of positions.blue[lane]) {
-        const tower = new Tower(this.scene, this.world, pos, 'blue');
-        this.towers.blue.push(tower);
-      }
-    }
+  onTick() {
+    this.interpolator.capture();
+  }
 
-    for (const lane of ['left', 'mid', 'right']) {
-      for (const pos of positions.red[lane]) {
-        const tower = new Tower(this.scene, this.world, pos, 'red');
-        this.towers.red.push(tower);
-      }
-    }
+  onHeroDeath(vehicle) {
+    const pos = vehicle.getPosition();
+    const smokeScale = (vehicle.vehicleHeight || 6) / 6;
+    this.effects.push(new SmokeEffect(this.scene, pos, smokeScale, this.sim.effectsRng));
   }
 
-  wireDamageTargets() {
-    const redTargets = [this.enemyVehicle, ...this.towers.red];
-    const blueTargets = [this.vehicle, ...this.towers.blue];
+  onTowerDestroyed(tower) {
+    this.effects.push(new SmokeEffect(this.scene, tower.getPosition(), 1.5, this.sim.effectsRng));
+  }
 
-    this.vehicle.damageTargets = [...redTargets];
-    this.enemyVehicle.damageTargets = [...blueTargets];
+  onCoreDestroyed(core) {
+    this.effects.push(new SmokeEffect(this.scene, core.getPosition(), 2.5, this.sim.effectsRng));
+  }
 
-    for (const tower of this.towers.blue) {
-      tower.setDamageTargets([this.enemyVehicle]);
-    }
-    for (const tower of this.towers.red) {
-      tower.setDamageTargets([this.vehicle]);
+  /**
+   * Kill feed entry for a hero, tower or core death: killer, victim, assist count.
+   */
+  onKill({ victim, killer, assists }) {
+    const feed = document.getElementById('kill-feed');
+    if (!feed) return;
+
+    const entry = document.createElement('div');
+    entry.className = 'kill-entry';
+
+    const name = (unit) => {
+      const span = document.createElement('span');
+      span.className = `kill-name ${this.getUnitTeam(unit)}`;
+      span.textContent = this.getUnitLabel(unit);
+      return span;
+    };
+    const icon = document.createElement('span');
+    icon.className = 'kill-icon';
+    icon.textContent = '✖';
+
+    entry.append(name(killer), icon, name(victim));
+    if (assists.length > 0) {
+      const assistEl = document.createElement('span');
+      assistEl.className = 'kill-assists';
+      assistEl.textContent = `+${assists.length} assist${assists.length > 1 ? 's' : ''}`;
+      entry.appendChild(assistEl);
     }
 
-    this.minionWave.redDamageTargets = blueTargets;
-    this.minionWave.blueDamageTargets = redTargets;
+    feed.prepend(entry);
+    while (feed.children.length > 5) feed.lastChild.remove();
+    setTimeout(() => entry.remove(), 6000);
   }
 
-  setupDeathHandlers() {
-    this.vehicle.onDeath = (vehicle) => {
-      console.log('Player hero destroyed!');
-      const pos = vehicle.getPosition();
-      const smokeScale = (vehicle.vehicleHeight || 6) / 6;
-      this.effects.push(new SmokeEffect(this.scene, pos, smokeScale));
-
-      setTimeout(() => {
-        if (this.gameOver) return;
-        vehicle.health = vehicle.maxHealth;
-        if (vehicle.body) {
-          vehicle.body.setTranslation({ x: 0, y: 4, z: -122 }, true);
-          // Re-orient toward center on respawn
-          if (this.selectedVehicle === 'tank') {
-            const rq = new THREE.Quaternion();
-            rq.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI);
-            vehicle.body.setRotation({ x: rq.x, y: rq.y, z: rq.z, w: rq.w }, true);
-          } else {
-            vehicle.body.setRotation({ x: 0, y: 0, z: 0, w: 1 }, true);
-          }
-        }
-        console.log('Player hero respawned!');
-      }, 8000);
-    };
+  getUnitTeam(unit) {
+    if (!unit) return '';
+    if (this.sim.isHero(unit)) return unit === this.sim.vehicle ? 'blue' : 'red';
+    return unit.team || '';
+  }
 
-    this.enemyVehicle.onDeath = (vehicle) => {
-      console.log('Enemy hero destroyed!');
-      const pos = vehicle.getPosition();
-      const smokeScale = (vehicle.vehicleHeight || 6) / 6;
-      this.effects.push(new SmokeEffect(this.scene, pos, smokeScale));
-
-      this.heroWrapper.abilitySystem.addXP(80);
-
-      setTimeout(() => {
-        if (this.gameOver) return;
-        vehicle.health = vehicle.maxHealth;
-        if (vehicle.body) {
-          vehicle.body.setTranslation({ x: 0, y: 4, z: 122 }, true);
-          // Re-orient enemy toward center on respawn
-          if (this.selectedVehicle === 'tank') {
-            // Enemy is Warhound (forward +Z), needs 180° to face -Z
-            const erq = new THREE.Quaternion();
-            erq.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI);
-            vehicle.body.setRotation({ x: erq.x, y: erq.y, z: erq.z, w: erq.w }, true);
-          } else {
-            // Enemy is Tank (forward -Z), already faces toward center
-            vehicle.body.setRotation({ x: 0, y: 0, z: 0, w: 1 }, true);
-          }
-        }
-        console.log('Enemy hero respawned!');
-      }, 10000);
-    };
+  getUnitLabel(unit) {
+    if (!unit) return 'Unknown';
+    if (this.sim.isHero(unit)) return this.sim.getHeroWrapper(unit).heroName;
+    const team = unit.team === 'blue' ? 'Blue' : 'Red';
+    if (unit.isCore) return `${team} core`;
+    return unit.isMinion ? `${team} minion` : `${team} tower`;
+  }
 
-    for (const tower of [...this.towers.blue, ...this.towers.red]) {
-      tower.onDeath = (t) => {
-        const pos = t.getPosition();
-        this.effects.push(new SmokeEffect(this.scene, pos, 1.5));
-        if (t.team === 'red') {
-          this.heroWrapper.abilitySystem.addXP(50);
-        }
-      };
-    }
+  onGameOver(winner, reason) {
+    this.showGameOver(winner, reason);
   }
 
   setupAbilityControls() {
-    const abilities = this.heroWrapper.abilitySystem;
+    const abilities = this.sim.heroWrapper.abilitySystem;
 
     this.mobaControls.setAbilityCallback('q', (target, groundPos) => {
       return abilities.castAbility('q', target, groundPos);
@@ -545,6 +412,7 @@ class Game {
   }
 
   setupAbilityLevelUpButtons() {
+    const { signal } = this.matchListeners;
     const isTouchDevice = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
 
     for (const slot of ['q', 'w', 'e', 'r']) {
@@ -562,12 +430,12 @@ class Game {
           didLongPress = false;
           touchTimer = setTimeout(() => {
             didLongPress = true;
-            this.heroWrapper.abilitySystem.levelUpAbility(slot);
+            this.sim.heroWrapper.abilitySystem.levelUpAbility(slot);
             // Brief visual feedback
             btn.style.transform = 'scale(1.15)';
             setTimeout(() => { btn.style.transform = ''; }, 200);
           }, 500);
-        }, { passive: false });
+        }, { passive: false, signal });
 
         btn.addEventListener('touchend', (e) => {
           e.preventDefault();
@@ -580,7 +448,7 @@ class Game {
             // Short tap — cast ability
             this.mobaControls.triggerAbility(slot);
           }
-        }, { passive: false });
+        }, { passive: false, signal });
 
         btn.addEventListener('touchmove', (e) => {
           // Cancel long-press if finger moves
@@ -588,47 +456,146 @@ class Game {
             clearTimeout(touchTimer);
             touchTimer = null;
           }
-        }, { passive: true });
+        }, { passive: true, signal });
 
         btn.addEventListener('touchcancel', () => {
           if (touchTimer) {
             clearTimeout(touchTimer);
             touchTimer = null;
           }
-        });
+        }, { signal });
       } else {
         // Desktop: click to cast, Ctrl+click to level up
         btn.addEventListener('click', (e) => {
           if (e.ctrlKey || e.metaKey) {
-            this.heroWrapper.abilitySystem.levelUpAbility(slot);
+            this.sim.heroWrapper.abilitySystem.levelUpAbility(slot);
           } else {
             this.mobaControls.triggerAbility(slot);
           }
-        });
+        }, { signal });
       }
     }
   }
 
   setupRecenterButton() {
+    const { signal } = this.matchListeners;
     const btn = document.getElementById('recenter-btn');
     if (btn && this.mobaCamera) {
       // Touchstart: recenter immediately on finger down (no waiting for click)
       btn.addEventListener('touchstart', (e) => {
         e.stopPropagation();
         this.mobaCamera.recenter();
-      }, { passive: true });
+      }, { passive: true, signal });
 
       // Click fallback for desktop / non-touch
       btn.addEventListener('click', (e) => {
         e.stopPropagation();
         this.mobaCamera.recenter();
-      });
+      }, { signal });
+    }
+  }
+
+  setupPauseMenu() {
+    const { signal } = this.matchListeners;
+    const pauseBtn = document.getElementById('pause-btn');
+    const resumeBtn = document.getElementById('pause-resume');
+    const speedBtns = document.querySelectorAll('#speed-options .speed-btn');
+
+    if (pauseBtn) {
+      pauseBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.setPaused(true);
+      }, { signal });
+    }
+    if (resumeBtn) {
+      resumeBtn.addEventListener('click', () => this.setPaused(false), { signal });
+    }
+    speedBtns.forEach(btn => {
+      btn.addEventListener('click', () => this.setGameSpeed(Number(btn.dataset.speed)), { signal });
+    });
+
+    window.addEventListener('keydown', (e) => {
+      if (e.code !== 'Escape' || this.sim.gameOver) return;
+      this.setPaused(!this.sim.paused);
+    }, { signal });
+
+    this.setGameSpeed(this.sim.timeScale);
+  }
+
+  setupShop() {
+    const { signal } = this.matchListeners;
+    const shopBtn = document.getElementById('shop-btn');
+    const itemList = document.getElementById('shop-items');
+
+    // Build one button per item; cleared first so a rematch doesn't duplicate
+    itemList.innerHTML = '';
+    for (const item of this.sim.shop.items) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'shop-item';
+      btn.dataset.item = item.id;
+      btn.innerHTML = `
+        <span class="shop-item-icon">${item.icon}</span>
+        <span class="shop-item-name">${item.name}</span>
+        <span class="shop-item-desc">${item.description}</span>
+        <span class="shop-item-cost">${item.cost}</span>`;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (this.sim.paused) return;
+        this.sim.shop.buy(this.sim.vehicle, 'blue', item.id);
+      }, { signal });
+      itemList.appendChild(btn);
+    }
+
+    if (shopBtn) {
+      shopBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (this.sim.paused) return;
+        this.setShopOpen(!this.shopOpen);
+      }, { signal });
+    }
+
+    window.addEventListener('keydown', (e) => {
+      if (e.code !== 'KeyB' || this.sim.paused || this.sim.gameOver) return;
+      this.setShopOpen(!this.shopOpen);
+    }, { signal });
+
+    this.setShopOpen(false);
+  }
+
+  /**
+   * Open or close the shop panel. Only opens while the hero is on the spawn pad.
+   */
+  setShopOpen(open) {
+    this.shopOpen = open && this.sim.shop.isInRange(this.sim.vehicle, 'blue');
+    document.getElementById('shop-panel').classList.toggle('active', this.shopOpen);
+  }
+
+  setPaused(paused) {
+    this.sim.setPaused(paused);
+    this.mobaControls.enabled = !paused;
+    if (paused) {
+      this.sim.vehicle.setMoveInput(0, 0);
+      this.setShopOpen(false);
+    }
+
+    const overlay = document.getElementById('pause-overlay');
+    if (overlay) {
+      overlay.classList.toggle('active', paused);
     }
   }
 
-  updateEnemyTargetList() {
-    const enemies = [this.enemyVehicle, ...this.towers.red];
-    this.mobaControls.setEnemyUnits(enemies);
+  setGameSpeed(scale) {
+    this.sim.setTimeScale(scale);
+
+    document.querySelectorAll('#speed-options .speed-btn').forEach(btn => {
+      btn.classList.toggle('selected', Number(btn.dataset.speed) === this.sim.timeScale);
+    });
+
+    const indicator = document.getElementById('speed-indicator');
+    if (indicator) {
+      indicator.textContent = this.sim.timeScale === 1 ? '' : `${this.sim.timeScale}x`;
+    }
   }
 
   onResize() {
@@ -648,12 +615,21 @@ class Game {
     }
   }
 
+  updateEnergyBar(prefix, hero) {
+    const fill = document.getElementById(`${prefix}-energy-fill`);
+    if (fill && hero) {
+      fill.style.width = Math.max(0, hero.energy / hero.maxEnergy) * 100 + '%';
+    }
+  }
+
   updateHUD() {
+    const { vehicle, enemyVehicle, heroWrapper, controlPoint } = this.sim;
+
     // Player health
     const playerHealthBar = document.getElementById('player-health-fill');
     const playerHealthText = document.getElementById('player-health-text');
-    if (playerHealthBar && this.vehicle) {
-      const pct = Math.max(0, this.vehicle.health / this.vehicle.maxHealth) * 100;
+    if (playerHealthBar && vehicle) {
+      const pct = Math.max(0, vehicle.health / vehicle.maxHealth) * 100;
       playerHealthBar.style.width = pct + '%';
       if (pct > 50) {
         playerHealthBar.style.background = 'linear-gradient(90deg, #00cc44, #44ff66)';
@@ -663,15 +639,15 @@ class Game {
         playerHealthBar.style.background = 'linear-gradient(90deg, #cc2200, #ff4444)';
       }
       if (playerHealthText) {
-        playerHealthText.textContent = Math.ceil(this.vehicle.health) + ' / ' + this.vehicle.maxHealth;
+        playerHealthText.textContent = Math.ceil(vehicle.health) + ' / ' + vehicle.maxHealth;
       }
     }
 
     // Enemy health
     const enemyHealthBar = document.getElementById('enemy-health-fill');
     const enemyHealthText = document.getElementById('enemy-health-text');
-    if (enemyHealthBar && this.enemyVehicle) {
-      const pct = Math.max(0, this.enemyVehicle.health / this.enemyVehicle.maxHealth) * 100;
+    if (enemyHealthBar && enemyVehicle) {
+      const pct = Math.max(0, enemyVehicle.health / enemyVehicle.maxHealth) * 100;
       enemyHealthBar.style.width = pct + '%';
       if (pct > 50) {
         enemyHealthBar.style.background = 'linear-gradient(90deg, #cc2200, #ff4444)';
@@ -681,13 +657,60 @@ class Game {
         enemyHealthBar.style.background = 'linear-gradient(90deg, #cc2200, #ff4444)';
       }
       if (enemyHealthText) {
-        enemyHealthText.textContent = Math.ceil(this.enemyVehicle.health) + ' / ' + this.enemyVehicle.maxHealth;
+        enemyHealthText.textContent = Math.ceil(enemyVehicle.health) + ' / ' + enemyVehicle.maxHealth;
+      }
+    }
+
+    // Energy
+    this.updateEnergyBar('player', vehicle);
+    this.updateEnergyBar('enemy', enemyVehicle);
+
+    // Gold
+    const goldValue = document.getElementById('hero-gold-value');
+    if (goldValue) {
+      goldValue.textContent = Math.floor(this.sim.economy.getGold(vehicle));
+    }
+
+    // Shop — close the panel once the hero leaves the spawn pad
+    const { shop } = this.sim;
+    const inShop = shop.isInRange(vehicle, 'blue');
+    const shopBtn = document.getElementById('shop-btn');
+    if (shopBtn) shopBtn.disabled = !inShop;
+    if (this.shopOpen) {
+      if (!inShop) {
+        this.setShopOpen(false);
+      } else {
+        document.querySelectorAll('#shop-items .shop-item').forEach(btn => {
+          btn.disabled = !shop.canBuy(vehicle, 'blue', shop.getItem(btn.dataset.item));
+        });
       }
     }
 
+    // Status effects
+    const statusEl = document.getElementById('status-effects');
+    if (statusEl) {
+      statusEl.innerHTML = '';
+      for (const effect of vehicle.status.list()) {
+        const icon = document.createElement('div');
+        icon.className = effect.debuff ? 'status-icon debuff' : 'status-icon buff';
+        icon.title = effect.name;
+        icon.textContent = effect.icon;
+        icon.dataset.time = Math.ceil(effect.remaining);
+        statusEl.appendChild(icon);
+      }
+    }
+
+    // Inventory
+    document.querySelectorAll('#inventory .inventory-slot').forEach((el, i) => {
+      const entry = vehicle.inventory.slots[i];
+      el.classList.toggle('filled', !!entry);
+      el.textContent = entry ? entry.item.icon : '';
+      el.title = entry ? `${entry.item.name} — ${entry.item.description}` : '';
+    });
+
     // Ability cooldowns
     for (const slot of ['q', 'w', 'e', 'r']) {
-      const info = this.heroWrapper.abilitySystem.getAbilityInfo(slot);
+      const info = heroWrapper.abilitySystem.getAbilityInfo(slot);
       const btn = document.getElementById(`ability-${slot}`);
       const cdOverlay = document.getElementById(`ability-${slot}-cd`);
       const levelDots = document.getElementById(`ability-${slot}-level`);
@@ -704,6 +727,8 @@ class Game {
           if (cdOverlay) cdOverlay.style.display = 'none';
         }
 
+        btn.classList.toggle('no-energy', info.level > 0 && !info.canAfford);
+
         if (info.level <= 0) {
           btn.classList.add('not-learned');
         } else {
@@ -730,9 +755,9 @@ class Game {
     // Level & XP
     const levelEl = document.getElementById('hero-level');
     const xpEl = document.getElementById('hero-xp-fill');
-    if (levelEl) levelEl.textContent = this.heroWrapper.abilitySystem.level;
+    if (levelEl) levelEl.textContent = heroWrapper.abilitySystem.level;
     if (xpEl) {
-      const as = this.heroWrapper.abilitySystem;
+      const as = heroWrapper.abilitySystem;
       const xpNeeded = as.xpToLevel[as.level] || 999;
       const pct = Math.min(100, (as.xp / xpNeeded) * 100);
       xpEl.style.width = pct + '%';
@@ -741,7 +766,7 @@ class Game {
     // Skill points
     const spEl = document.getElementById('skill-points');
     if (spEl) {
-      const sp = this.heroWrapper.abilitySystem.skillPoints;
+      const sp = heroWrapper.abilitySystem.skillPoints;
       spEl.textContent = sp > 0 ? `${sp} Skill Point${sp > 1 ? 's' : ''}` : '';
       spEl.style.display = sp > 0 ? 'block' : 'none';
     }
@@ -750,16 +775,16 @@ class Game {
     const blueScoreEl = document.getElementById('blue-score');
     const redScoreEl = document.getElementById('red-score');
     const cpStatusEl = document.getElementById('cp-status');
-    if (blueScoreEl) blueScoreEl.textContent = Math.floor(this.controlPoint.blueScore);
-    if (redScoreEl) redScoreEl.textContent = Math.floor(this.controlPoint.redScore);
+    if (blueScoreEl) blueScoreEl.textContent = Math.floor(controlPoint.blueScore);
+    if (redScoreEl) redScoreEl.textContent = Math.floor(controlPoint.redScore);
     if (cpStatusEl) {
-      if (this.controlPoint.isContested) {
+      if (controlPoint.isContested) {
         cpStatusEl.textContent = 'CONTESTED';
         cpStatusEl.style.color = '#ff8800';
-      } else if (this.controlPoint.controllingTeam === 'blue') {
+      } else if (controlPoint.controllingTeam === 'blue') {
         cpStatusEl.textContent = 'BLUE CONTROLS';
         cpStatusEl.style.color = '#4488ff';
-      } else if (this.controlPoint.controllingTeam === 'red') {
+      } else if (controlPoint.controllingTeam === 'red') {
         cpStatusEl.textContent = 'RED CONTROLS';
         cpStatusEl.style.color = '#ff4444';
       } else {
@@ -773,6 +798,7 @@ class Game {
   }
 
   updateMinimap() {
+    const { vehicle, enemyVehicle, controlPoint, mobaMap, registry } = this.sim;
     const canvas = document.getElementById('minimap-canvas');
     if (!canvas) return;
 
@@ -792,7 +818,7 @@ class Game {
     // Lanes
     ctx.strokeStyle = '#444';
     ctx.lineWidth = 2;
-    for (const [, waypoints] of Object.entries(this.mobaMap.laneWaypoints)) {
+    for (const [, waypoints] of Object.entries(mobaMap.laneWaypoints)) {
       ctx.beginPath();
       for (let i = 0; i < waypoints.length; i++) {
         const p = toMM(waypoints[i].x, waypoints[i].z);
@@ -804,8 +830,8 @@ class Game {
 
     // Center point
     const cp = toMM(0, 0);
-    ctx.fillStyle = this.controlPoint.controllingTeam === 'blue' ? '#4488ff' :
-                    this.controlPoint.controllingTeam === 'red' ? '#ff4444' : '#ffdd44';
+    ctx.fillStyle = controlPoint.controllingTeam === 'blue' ? '#4488ff' :
+                    controlPoint.controllingTeam === 'red' ? '#ff4444' : '#ffdd44';
     ctx.beginPath();
     ctx.arc(cp.x, cp.y, 6, 0, Math.PI * 2);
     ctx.fill();
@@ -819,38 +845,23 @@ class Game {
     ctx.fillRect(rb.x - 5, rb.y - 5, 10, 10);
 
     // Towers
-    for (const tower of this.towers.blue) {
-      if (!tower.alive) continue;
+    for (const tower of registry.query({ kind: 'tower' })) {
       const tp = toMM(tower.position.x, tower.position.z);
-      ctx.fillStyle = '#4488ff';
-      ctx.fillRect(tp.x - 3, tp.y - 3, 6, 6);
-    }
-    for (const tower of this.towers.red) {
-      if (!tower.alive) continue;
-      const tp = toMM(tower.position.x, tower.position.z);
-      ctx.fillStyle = '#ff4444';
+      ctx.fillStyle = tower.team === 'blue' ? '#4488ff' : '#ff4444';
       ctx.fillRect(tp.x - 3, tp.y - 3, 6, 6);
     }
 
     // Minions
-    for (const m of this.minionWave.blueMinions) {
-      if (!m.isAlive()) continue;
-      const pos = m.getPosition();
-      const mp = toMM(pos.x, pos.z);
-      ctx.fillStyle = '#6699ff';
-      ctx.fillRect(mp.x - 1, mp.y - 1, 2, 2);
-    }
-    for (const m of this.minionWave.redMinions) {
-      if (!m.isAlive()) continue;
+    for (const m of registry.query({ kind: 'minion' })) {
       const pos = m.getPosition();
       const mp = toMM(pos.x, pos.z);
-      ctx.fillStyle = '#ff6666';
+      ctx.fillStyle = m.team === 'blue' ? '#6699ff' : '#ff6666';
       ctx.fillRect(mp.x - 1, mp.y - 1, 2, 2);
     }
 
     // Player hero
-    if (this.vehicle && this.vehicle.isAlive()) {
-      const heroPos = this.vehicle.getPosition();
+    if (vehicle && vehicle.isAlive()) {
+      const heroPos = vehicle.getPosition();
       const hp = toMM(heroPos.x, heroPos.z);
       ctx.fillStyle = '#44ffaa';
       ctx.beginPath();
@@ -862,8 +873,8 @@ class Game {
     }
 
     // Enemy hero
-    if (this.enemyVehicle && this.enemyVehicle.isAlive()) {
-      const enemyPos = this.enemyVehicle.getPosition();
+    if (enemyVehicle && enemyVehicle.isAlive()) {
+      const enemyPos = enemyVehicle.getPosition();
       const ep = toMM(enemyPos.x, enemyPos.z);
       ctx.fillStyle = '#ff4466';
       ctx.beginPath();
@@ -875,10 +886,114 @@ class Game {
     }
   }
 
-  showGameOver(winner) {
-    this.gameOver = true;
-    this.winner = winner;
+  setupGameOverButtons() {
+    const rematchBtn = document.getElementById('rematch-btn');
+    const changeHeroBtn = document.getElementById('change-hero-btn');
+
+    if (rematchBtn) {
+      rematchBtn.addEventListener('click', () => this.rematch());
+    }
+    if (changeHeroBtn) {
+      changeHeroBtn.addEventListener('click', () => this.changeHero());
+    }
+  }
+
+  /**
+   * Start a fresh match with the same hero. isRestarting stays set until
+   * the new match has loaded, so neither button acts during the load.
+   */
+  async rematch() {
+    if (this.isRestarting) return;
+    this.isRestarting = true;
+    try {
+      this.teardownMatch();
+      await this.startGame();
+    } catch (error) {
+      console.error('Rematch failed:', error);
+    } finally {
+      this.isRestarting = false;
+    }
+  }
+
+  /**
+   * Return to the hero selection menu.
+   */
+  changeHero() {
+    if (this.isRestarting) return;
+    this.teardownMatch();
+    document.getElementById('start-menu').classList.remove('hidden');
+    this.initPreview();
+  }
+
+  /**
+   * End the current match and release everything it owns: render loop,
+   * match DOM listeners, controls, camera, effects, simulation and GPU
+   * resources. Leaves an empty scene ready for the next match.
+   */
+  teardownMatch() {
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    if (this.matchListeners) {
+      this.matchListeners.abort();
+      this.matchListeners = null;
+    }
+
+    document.querySelectorAll('.game-ui').forEach(el => el.classList.remove('active'));
+    document.getElementById('game-over-overlay').style.display = '';
+    document.getElementById('pause-overlay').classList.remove('active');
+    document.getElementById('shop-panel').classList.remove('active');
+    document.getElementById('kill-feed').innerHTML = '';
+    this.shopOpen = false;
+
+    if (this.mobaControls) {
+      this.mobaControls.dispose();
+      this.mobaControls = null;
+    }
+    if (this.mobaCamera) {
+      this.mobaCamera.dispose();
+      this.mobaCamera = null;
+    }
+    for (const effect of this.effects) {
+      effect.dispose();
+    }
+    this.effects = [];
+    this.interpolator = null;
+
+    // Free GPU resources while the scene still holds every match object
+    this.disposeSceneResources();
+
+    if (this.sim) {
+      this.sim.dispose();
+      this.sim = null;
+    }
+
+    this.renderer.renderLists.dispose();
+    this.scene = new THREE.Scene();
+  }
+
+  disposeSceneResources() {
+    this.scene.traverse((child) => {
+      if (child.isLight && child.dispose) child.dispose();
+      if (child.geometry) child.geometry.dispose();
+
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      for (const mat of materials) {
+        if (!mat) continue;
+        for (const value of Object.values(mat)) {
+          if (value && value.isTexture) value.dispose();
+        }
+        mat.dispose();
+      }
+    });
+
+    if (this.scene.environment) {
+      this.scene.environment.dispose();
+    }
+  }
 
+  showGameOver(winner, reason) {
     const overlay = document.getElementById('game-over-overlay');
     const text = document.getElementById('game-over-text');
     if (overlay) {
@@ -887,70 +1002,54 @@ class Game {
         text.textContent = winner === 'blue' ? 'VICTORY!' : 'DEFEAT!';
         text.style.color = winner === 'blue' ? '#44ffaa' : '#ff4444';
       }
+      const sub = document.getElementById('game-over-sub');
+      if (sub) {
+        if (reason === 'core') {
+          sub.textContent = winner === 'blue' ? 'Enemy Core Destroyed' : 'Your Core Was Destroyed';
+        } else {
+          sub.textContent = 'Control Point Secured';
+        }
+      }
+      const seed = document.getElementById('game-over-seed');
+      if (seed) {
+        seed.textContent = `Match seed: ${this.sim.seed}`;
+      }
     }
   }
 
   animate() {
-    requestAnimationFrame(() => this.animate());
+    this.frameId = requestAnimationFrame(() => this.animate());
+
+    // Real frame time drives the simulation; presentation uses a clamped delta.
+    // World effects follow game speed and freeze while paused; the camera doesn't.
+    const frameDelta = this.clock.getDelta();
+    const delta = Math.min(frameDelta, 0.05);
+    const gameDelta = this.sim.paused ? 0 : delta * this.sim.timeScale;
 
-    const delta = Math.min(this.clock.getDelta(), 0.05);
+    // Put back exact tick transforms before input and simulation read them
+    this.interpolator.restore();
 
-    if (this.gameOver) {
+    if (this.sim.gameOver) {
       this.mobaCamera.update(delta);
       this.renderer.render(this.scene, this.mobaCamera.camera);
       return;
     }
 
-    // Physics
-    this.world.step();
-
-    // Player hero
-    this.vehicle.update(delta);
-    this.heroWrapper.update(delta);
-    this.mobaControls.update(delta);
-
-    // Enemy hero
-    if (this.enemyVehicle && this.enemyVehicle.isAlive()) {
-      this.enemyHeroAI.update(delta);
-      this.enemyVehicle.update(delta);
-      this.enemyHeroWrapper.update(delta);
-    }
-
-    // Towers
-    for (const tower of [...this.towers.blue, ...this.towers.red]) {
-      tower.update(delta);
-    }
-
-    // Minions
-    this.minionWave.update(delta);
-
-    // Dynamic targets
-    this.updateDynamicTargets();
-
-    // Control point
-    const blueUnits = [
-      this.vehicle,
-      ...this.minionWave.getAliveMinions('blue'),
-    ];
-    const redUnits = [
-      this.enemyVehicle,
-      ...this.minionWave.getAliveMinions('red'),
-    ];
-    const cpResult = this.controlPoint.update(delta, blueUnits, redUnits);
-
-    if (cpResult.winner) {
-      this.showGameOver(cpResult.winner);
+    // Player input drives the blue hero before the simulation steps
+    if (!this.sim.paused) {
+      this.mobaControls.update(gameDelta);
     }
 
-    // XP
-    this.checkMinionKillXP();
+    // Simulation (fixed ticks), then blend meshes between the last two ticks
+    const alpha = this.sim.advance(frameDelta);
+    this.interpolator.apply(alpha);
 
     // Map animations
-    this.mobaMap.update(delta);
+    this.sim.mobaMap.update(gameDelta);
 
     // Effects
     this.effects = this.effects.filter(effect => {
-      effect.update(delta);
+      effect.update(gameDelta);
       if (!effect.alive) {
         effect.dispose();
         return false;
@@ -964,98 +1063,9 @@ class Game {
     // HUD
     this.updateHUD();
 
-    // Base healing
-    this.handleBaseHealing(delta);
-
     // Render
     this.renderer.render(this.scene, this.mobaCamera.camera);
   }
-
-  updateDynamicTargets() {
-    const aliveRedMinions = this.minionWave.getAliveMinions('red');
-    const aliveBlueMinions = this.minionWave.getAliveMinions('blue');
-
-    this.vehicle.damageTargets = [
-      this.enemyVehicle,
-      ...this.towers.red.filter(t => t.alive),
-      ...aliveRedMinions,
-    ];
-
-    this.enemyVehicle.damageTargets = [
-      this.vehicle,
-      ...this.towers.blue.filter(t => t.alive),
-      ...aliveBlueMinions,
-    ];
-
-    for (const tower of this.towers.blue) {
-      if (!tower.alive) continue;
-      tower.setDamageTargets([this.enemyVehicle, ...aliveRedMinions]);
-    }
-    for (const tower of this.towers.red) {
-      if (!tower.alive) continue;
-      tower.setDamageTargets([this.vehicle, ...aliveBlueMinions]);
-    }
-
-    this.minionWave.blueDamageTargets = [this.enemyVehicle, ...this.towers.red.filter(t => t.alive)];
-    this.minionWave.redDamageTargets = [this.vehicle, ...this.towers.blue.filter(t => t.alive)];
-
-    this.mobaControls.setEnemyUnits([
-      this.enemyVehicle,
-      ...this.towers.red.filter(t => t.alive),
-      ...aliveRedMinions,
-    ]);
-  }
-
-  checkMinionKillXP() {
-    for (const minion of this.minionWave.redMinions) {
-      if (!minion.isAlive() && !minion._xpAwarded) {
-        minion._xpAwarded = true;
-        const heroPos = this.vehicle.getPosition();
-        const minionPos = minion.getPosition();
-        if (heroPos.distanceTo(minionPos) < 30) {
-          this.heroWrapper.abilitySystem.addXP(minion.xpValue || 15);
-        }
-      }
-    }
-
-    for (const minion of this.minionWave.blueMinions) {
-      if (!minion.isAlive() && !minion._xpAwarded) {
-        minion._xpAwarded = true;
-        const enemyPos = this.enemyVehicle.getPosition();
-        const minionPos = minion.getPosition();
-        if (enemyPos.distanceTo(minionPos) < 30) {
-          this.enemyHeroWrapper.abilitySystem.addXP(minion.xpValue || 15);
-        }
-      }
-    }
-  }
-
-  handleBaseHealing(delta) {
-    const blueBase = this.mobaMap.blueBasePos;
-    const redBase = this.mobaMap.redBasePos;
-    const healRadius = 20;
-    const healRate = 8;
-
-    if (this.vehicle.isAlive()) {
-      const pos = this.vehicle.getPosition();
-      if (pos.distanceTo(blueBase) < healRadius) {
-        this.vehicle.health = Math.min(
-          this.vehicle.maxHealth,
-          this.vehicle.health + healRate * delta
-        );
-      }
-    }
-
-    if (this.enemyVehicle.isAlive()) {
-      const pos = this.enemyVehicle.getPosition();
-      if (pos.distanceTo(redBase) < healRadius) {
-        this.enemyVehicle.health = Math.min(
-          this.enemyVehicle.maxHealth,
-          this.enemyVehicle.health + healRate * delta
-        );
-      }
-    }
-  }
 }
 
 // Start game